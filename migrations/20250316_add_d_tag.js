@@ -0,0 +1,32 @@
+/**
+ * Add d_tag column for parameterized replaceable events (NIP-33)
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('events', table => {
+    table.text('d_tag');
+  });
+
+  // Lookups and replacement by (pubkey, kind, d_tag). d tags are unbounded,
+  // so they are indexed by hash to stay under the btree row size limit.
+  await knex.raw('CREATE INDEX events_pubkey_kind_d_tag_md5_index ON events (pubkey, kind, md5(d_tag))');
+  await knex.raw('CREATE INDEX events_d_tag_md5_index ON events (md5(d_tag))');
+
+  // Backfill existing parameterized replaceable events with their first d tag
+  await knex.raw(`
+    UPDATE events
+    SET d_tag = COALESCE((
+      SELECT tag->>1 FROM jsonb_array_elements(tags) tag
+      WHERE tag->>0 = 'd'
+      LIMIT 1
+    ), '')
+    WHERE kind >= 30000 AND kind < 40000
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS events_pubkey_kind_d_tag_md5_index');
+  await knex.raw('DROP INDEX IF EXISTS events_d_tag_md5_index');
+  await knex.schema.alterTable('events', table => {
+    table.dropColumn('d_tag');
+  });
+};
@@ -0,0 +1,23 @@
+/**
+ * Deletion tombstones for NIP-09
+ * 
+ * Each row records that a pubkey deleted either an event id (e tag)
+ * or all versions of a replaceable event coordinate up to created_at (a tag).
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('deletions', table => {
+    table.increments('id').primary();
+    table.text('deletion_id').notNullable().index();
+    table.text('pubkey').notNullable();
+    table.text('target_event_id');
+    table.text('target_coordinate');
+    table.bigInteger('created_at').notNullable();
+    
+    table.index(['target_event_id', 'pubkey']);
+    table.index(['target_coordinate', 'pubkey']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('deletions');
+};
@@ -0,0 +1,25 @@
+/**
+ * Add expires_at column for expiring events (NIP-40)
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('events', table => {
+    table.bigInteger('expires_at').index();
+  });
+
+  // Backfill from the first well-formed expiration tag
+  await knex.raw(`
+    UPDATE events
+    SET expires_at = (
+      SELECT (tag->>1)::bigint FROM jsonb_array_elements(tags) tag
+      WHERE tag->>0 = 'expiration' AND tag->>1 ~ '^[0-9]{1,15}$'
+      LIMIT 1
+    )
+    WHERE tags @> '[["expiration"]]'::jsonb
+  `);
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('events', table => {
+    table.dropColumn('expires_at');
+  });
+};
@@ -0,0 +1,21 @@
+/**
+ * Full-text search over event content (NIP-50)
+ * 
+ * Content is indexed with the language-neutral 'simple' configuration
+ * since events do not reliably declare their language.
+ */
+exports.up = async function(knex) {
+  await knex.raw(`
+    ALTER TABLE events
+    ADD COLUMN content_tsv tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED
+  `);
+  await knex.raw('CREATE INDEX events_content_tsv_index ON events USING GIN (content_tsv)');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS events_content_tsv_index');
+  await knex.schema.alterTable('events', table => {
+    table.dropColumn('content_tsv');
+  });
+};
@@ -0,0 +1,23 @@
+/**
+ * Normalized index of single-letter tags for #tag filters (NIP-01)
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('event_tags', table => {
+    table.text('event_id').notNullable()
+      .references('event_id').inTable('events')
+      .onDelete('CASCADE');
+    table.text('name').notNullable();
+    table.text('value').notNullable();
+    
+    // Cascading deletes by event
+    table.index(['event_id']);
+  });
+
+  // Lookups by tag name and value. Values are unbounded, so they are
+  // indexed by hash to stay under the btree row size limit.
+  await knex.raw('CREATE UNIQUE INDEX event_tags_name_value_md5_event_id_unique ON event_tags (name, md5(value), event_id)');
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('event_tags');
+};
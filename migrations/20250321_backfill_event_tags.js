@@ -0,0 +1,16 @@
+/**
+ * Populate event_tags from the tags of existing events
+ */
+exports.up = function(knex) {
+  return knex.raw(`
+    INSERT INTO event_tags (event_id, name, value)
+    SELECT events.event_id, tag->>0, tag->>1
+    FROM events, jsonb_array_elements(events.tags) tag
+    WHERE tag->>0 ~ '^[a-zA-Z]$' AND tag->>1 IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `);
+};
+
+exports.down = function(knex) {
+  return knex('event_tags').del();
+};
@@ -0,0 +1,12 @@
+/**
+ * Indexes supporting prefix (LIKE 'abc%') matches on ids and authors
+ */
+exports.up = async function(knex) {
+  await knex.raw('CREATE INDEX events_event_id_prefix_index ON events (event_id text_pattern_ops)');
+  await knex.raw('CREATE INDEX events_pubkey_prefix_index ON events (pubkey text_pattern_ops)');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS events_event_id_prefix_index');
+  await knex.raw('DROP INDEX IF EXISTS events_pubkey_prefix_index');
+};
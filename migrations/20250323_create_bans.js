@@ -0,0 +1,24 @@
+/**
+ * Moderation bans managed through the admin API
+ * 
+ * Banned pubkeys can neither publish nor have their events served,
+ * blocked event ids can neither be published again nor served.
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('banned_pubkeys', table => {
+    table.text('pubkey').primary();
+    table.text('reason').notNullable().defaultTo('');
+    table.bigInteger('created_at').notNullable();
+  });
+
+  await knex.schema.createTable('blocked_events', table => {
+    table.text('event_id').primary();
+    table.text('reason').notNullable().defaultTo('');
+    table.bigInteger('created_at').notNullable();
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('blocked_events');
+  await knex.schema.dropTable('banned_pubkeys');
+};
@@ -0,0 +1,41 @@
+/**
+ * NIP-56 reports and the moderation queue
+ * 
+ * `reports` keeps the latest report of each reporter on each target (an event
+ * id or a pubkey). `moderation_queue` aggregates them per target for moderators.
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('reports', table => {
+    table.increments('id').primary();
+    table.text('report_id').notNullable();
+    table.text('reporter').notNullable();
+    table.text('target_type').notNullable(); // 'event' or 'pubkey'
+    table.text('target').notNullable();
+    table.text('report_type').notNullable().defaultTo('');
+    table.boolean('trusted').notNullable().defaultTo(false);
+    table.bigInteger('created_at').notNullable();
+
+    table.unique(['reporter', 'target_type', 'target']);
+    table.index(['target_type', 'target']);
+  });
+
+  await knex.schema.createTable('moderation_queue', table => {
+    table.text('target_type').notNullable();
+    table.text('target').notNullable();
+    table.integer('report_count').notNullable().defaultTo(0);
+    table.integer('trusted_report_count').notNullable().defaultTo(0);
+    table.specificType('report_types', 'text[]').notNullable().defaultTo('{}');
+    // 'pending', 'hidden', 'dismissed' or 'banned'
+    table.text('status').notNullable().defaultTo('pending').index();
+    table.bigInteger('first_reported_at').notNullable();
+    table.bigInteger('last_reported_at').notNullable();
+    table.bigInteger('reviewed_at');
+
+    table.primary(['target_type', 'target']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('moderation_queue');
+  await knex.schema.dropTable('reports');
+};
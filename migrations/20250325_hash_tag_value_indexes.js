@@ -0,0 +1,22 @@
+/**
+ * Index tag values and d tags by hash
+ * 
+ * Btree index rows are limited to about 2.7KB, so indexing tag values as
+ * text rejected events with long tags. Databases created since index the
+ * md5 of the values from the start; this converts those migrated before.
+ */
+exports.up = async function(knex) {
+  await knex.raw('ALTER TABLE event_tags DROP CONSTRAINT IF EXISTS event_tags_pkey');
+  await knex.raw('CREATE UNIQUE INDEX IF NOT EXISTS event_tags_name_value_md5_event_id_unique ON event_tags (name, md5(value), event_id)');
+
+  await knex.raw('DROP INDEX IF EXISTS events_pubkey_kind_d_tag_index');
+  await knex.raw('DROP INDEX IF EXISTS events_d_tag_index');
+  await knex.raw('CREATE INDEX IF NOT EXISTS events_pubkey_kind_d_tag_md5_index ON events (pubkey, kind, md5(d_tag))');
+  await knex.raw('CREATE INDEX IF NOT EXISTS events_d_tag_md5_index ON events (md5(d_tag))');
+};
+
+exports.down = function() {
+  // The hashed indexes are the ones the earlier migrations create, so
+  // there is nothing to restore
+  return Promise.resolve();
+};
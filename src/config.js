@@ -0,0 +1,297 @@
+/**
+ * Relay configuration read from environment variables (see .env.example)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Parse a boolean environment variable
+ * @param {string} value - The raw value
+ * @param {boolean} defaultValue - Value used when unset
+ * @returns {boolean}
+ */
+function parseBoolean(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+}
+
+/**
+ * Parse a comma-separated list of integers
+ * @param {string} value - The raw value
+ * @param {Array<number>} defaultValue - Value used when unset
+ * @returns {Array<number>}
+ */
+function parseIntegerList(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return value.split(',')
+    .map(item => parseInt(item.trim(), 10))
+    .filter(item => !Number.isNaN(item));
+}
+
+/**
+ * Parse rate limits of the form "KEY:count/seconds,KEY:count/seconds"
+ * @param {string} value - The raw value
+ * @param {Object} defaultValue - Value used when unset
+ * @returns {Object} - Map of key to { count, seconds }
+ */
+function parseRateLimits(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const limits = {};
+  for (const item of value.split(',')) {
+    const match = /^\s*([^:\s]+)\s*:\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(item);
+    if (match) {
+      limits[match[1]] = { count: parseInt(match[2], 10), seconds: parseInt(match[3], 10) };
+    }
+  }
+  return limits;
+}
+
+/**
+ * Parse a map of the form "KEY:value,KEY:value" with integer values
+ * @param {string} value - The raw value
+ * @param {Object} defaultValue - Value used when unset
+ * @returns {Object} - Map of key to integer
+ */
+function parseIntegerMap(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const map = {};
+  for (const item of value.split(',')) {
+    const match = /^\s*([^:\s]+)\s*:\s*(\d+)\s*$/.exec(item);
+    if (match) {
+      map[match[1]] = parseInt(match[2], 10);
+    }
+  }
+  return map;
+}
+
+/**
+ * Parse an integer environment variable
+ * @param {string} value - The raw value
+ * @param {number} defaultValue - Value used when unset or invalid
+ * @returns {number}
+ */
+function parseInteger(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * Parse a comma-separated list of strings
+ * @param {string} value - The raw value
+ * @param {Array<string>} defaultValue - Value used when unset
+ * @returns {Array<string>}
+ */
+function parseStringList(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return value.split(',')
+    .map(item => item.trim())
+    .filter(item => item !== '');
+}
+
+/**
+ * Load the NIP-11 relay information from RELAY_INFO_FILE, overridden by RELAY_* variables
+ * @returns {Object} - Relay information fields, named as in the NIP-11 document
+ */
+function loadRelayInfo() {
+  const file = process.env.RELAY_INFO_FILE;
+  const info = file ? JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) : {};
+  const env = process.env;
+
+  return {
+    name: env.RELAY_NAME || info.name || 'Cline Nostr Relay',
+    description: env.RELAY_DESCRIPTION || info.description || 'A simple Nostr relay implementation',
+    icon: env.RELAY_ICON || info.icon,
+    pubkey: env.RELAY_PUBKEY || info.pubkey,
+    contact: env.RELAY_CONTACT || info.contact,
+    software: env.RELAY_SOFTWARE || info.software,
+    posting_policy: env.RELAY_POSTING_POLICY || info.posting_policy,
+    payments_url: env.RELAY_PAYMENTS_URL || info.payments_url,
+    // Fees are structured ({ admission, subscription, publication }) and only read from the file
+    fees: info.fees,
+    relay_countries: parseStringList(env.RELAY_COUNTRIES, info.relay_countries),
+    language_tags: parseStringList(env.RELAY_LANGUAGE_TAGS, info.language_tags)
+  };
+}
+
+module.exports = {
+  port: parseInteger(process.env.PORT, 8008),
+
+  // Public WebSocket URL of the relay, e.g. wss://relay.example.com
+  // When unset, the Host header of each connection is used
+  relayUrl: process.env.RELAY_URL || '',
+
+  // Addresses of reverse proxies whose X-Forwarded-For header gives the client IP,
+  // used for per-IP rate limits and logs. Other peers are identified by their socket address
+  trustedProxies: parseStringList(process.env.TRUSTED_PROXIES, []),
+
+  // NIP-11 relay information document
+  relayInfo: loadRelayInfo(),
+
+  // Optional protocol features, advertised in supported_nips when enabled
+  features: {
+    // NIP-45 COUNT messages
+    count: parseBoolean(process.env.FEATURE_COUNT, true),
+    // NIP-50 search filters
+    search: parseBoolean(process.env.FEATURE_SEARCH, true)
+  },
+
+  // Limits on client messages and subscriptions
+  limits: {
+    // Largest WebSocket message accepted, in bytes
+    maxMessageLength: parseInteger(process.env.MAX_MESSAGE_LENGTH, 128 * 1024),
+    // Open subscriptions per connection
+    maxSubscriptions: parseInteger(process.env.MAX_SUBSCRIPTIONS, 20),
+    maxSubidLength: parseInteger(process.env.MAX_SUBID_LENGTH, 64)
+  },
+
+  // Graceful shutdown on SIGTERM/SIGINT
+  shutdown: {
+    // Seconds to wait for in-flight messages and clients to close before exiting
+    drainTimeout: parseInteger(process.env.SHUTDOWN_DRAIN_TIMEOUT, 10)
+  },
+
+  expirationReaper: {
+    interval: parseInteger(process.env.EXPIRATION_REAPER_INTERVAL, 60),
+    batchSize: parseInteger(process.env.EXPIRATION_REAPER_BATCH_SIZE, 1000)
+  },
+
+  // NIP-42 client authentication
+  auth: {
+    requiredForWrites: parseBoolean(process.env.AUTH_REQUIRED_FOR_WRITES, false),
+    requiredForReads: parseBoolean(process.env.AUTH_REQUIRED_FOR_READS, false),
+    // Maximum distance in seconds between an auth event's created_at and now
+    maxAge: parseInteger(process.env.AUTH_MAX_AGE, 600)
+  },
+
+  // Limits on stored events returned per filter of a REQ
+  query: {
+    // Used when a filter has no limit
+    defaultLimit: parseInteger(process.env.QUERY_DEFAULT_LIMIT, 500),
+    // Upper bound for any filter's limit
+    maxLimit: parseInteger(process.env.QUERY_MAX_LIMIT, 5000),
+    // Shortest hex prefix accepted in ids and authors
+    minPrefixLength: parseInteger(process.env.QUERY_MIN_PREFIX_LENGTH, 4)
+  },
+
+  // Streaming of stored events to subscribers
+  stream: {
+    // Rows fetched from the database cursor at a time
+    batchSize: parseInteger(process.env.STREAM_BATCH_SIZE, 100),
+    // Pause sending while more than this many bytes wait in a client's socket buffer
+    maxBufferedBytes: parseInteger(process.env.STREAM_MAX_BUFFERED_BYTES, 1024 * 1024),
+    // Seconds to wait for a paused client to read before closing the subscription
+    drainTimeout: parseInteger(process.env.STREAM_DRAIN_TIMEOUT, 30),
+    // Streams running at once per connection and in total; each holds a database
+    // connection, so the total must stay below the pool size (10)
+    maxPerConnection: parseInteger(process.env.STREAM_MAX_PER_CONNECTION, 2),
+    maxConcurrent: parseInteger(process.env.STREAM_MAX_CONCURRENT, 8)
+  },
+
+  // Caps on the filters of a REQ or COUNT message
+  filters: {
+    maxFilters: parseInteger(process.env.FILTER_MAX_FILTERS, 10),
+    // Maximum number of values in any array of a filter (ids, authors, kinds, #tags)
+    maxValues: parseInteger(process.env.FILTER_MAX_VALUES, 500)
+  },
+
+  // Token bucket rate limits, each { count, seconds }
+  rateLimits: {
+    // Per message type, for each connection and for each client IP
+    connection: parseRateLimits(process.env.RATE_LIMIT_CONNECTION, {
+      EVENT: { count: 20, seconds: 10 },
+      REQ: { count: 20, seconds: 10 },
+      COUNT: { count: 10, seconds: 10 },
+      // Each AUTH verifies a signature, and clients only need to authenticate once
+      AUTH: { count: 5, seconds: 60 }
+    }),
+    ip: parseRateLimits(process.env.RATE_LIMIT_IP, {
+      EVENT: { count: 60, seconds: 10 },
+      REQ: { count: 60, seconds: 10 },
+      COUNT: { count: 30, seconds: 10 },
+      AUTH: { count: 20, seconds: 60 }
+    }),
+    // Events per author, across all connections
+    pubkey: parseRateLimits(process.env.RATE_LIMIT_PUBKEY, {
+      EVENT: { count: 30, seconds: 60 }
+    }),
+    // Events of a kind per author, keyed by kind
+    kinds: parseRateLimits(process.env.RATE_LIMIT_KINDS, {}),
+    // Rate-limited messages within violationWindow seconds after which a client is disconnected
+    maxViolations: parseInteger(process.env.RATE_LIMIT_MAX_VIOLATIONS, 50),
+    violationWindow: parseInteger(process.env.RATE_LIMIT_VIOLATION_WINDOW, 60)
+  },
+
+  // Proof of work required on published events (NIP-13), in leading zero bits of the id
+  pow: {
+    minDifficulty: parseInteger(process.env.POW_MIN_DIFFICULTY, 0),
+    // Per-kind difficulties, keyed by kind, overriding the minimum
+    kinds: parseIntegerMap(process.env.POW_KIND_DIFFICULTY, {})
+  },
+
+  // Ordered write policy plugins run on every published event
+  writePolicy: {
+    // Built-in plugin names or paths of plugin modules, relative to the working directory
+    plugins: parseStringList(process.env.WRITE_POLICY_PLUGINS, ['pubkey-list', 'allowed-kinds', 'created-at-bounds']),
+    // pubkey-list: only whitelisted pubkeys may publish when set; blacklisted pubkeys never may
+    pubkeyWhitelist: parseStringList(process.env.PUBKEY_WHITELIST, []),
+    pubkeyBlacklist: parseStringList(process.env.PUBKEY_BLACKLIST, []),
+    // allowed-kinds: kinds accepted, all when empty
+    allowedKinds: parseIntegerList(process.env.ALLOWED_KINDS, []),
+    // created-at-bounds: seconds created_at may be ahead of or behind now, 0 for no bound
+    createdAtMaxFuture: parseInteger(process.env.CREATED_AT_MAX_FUTURE, 900),
+    createdAtMaxPast: parseInteger(process.env.CREATED_AT_MAX_PAST, 0)
+  },
+
+  // Log output (see src/utils/logger.js)
+  logging: {
+    // 'text' (debug namespaces) or 'json' (one JSON object per line)
+    format: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',
+    // Lowest level written in JSON format: debug, info, warn or error
+    level: ['debug', 'info', 'warn', 'error'].includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+    // Replace event content in logged objects
+    redactContent: parseBoolean(process.env.LOG_REDACT_CONTENT, true),
+    // Write an access log line for every client message
+    accessLog: parseBoolean(process.env.LOG_ACCESS, true)
+  },
+
+  // Prometheus metrics served at /metrics
+  metrics: {
+    enabled: parseBoolean(process.env.METRICS_ENABLED, true)
+  },
+
+  // Admin HTTP API, enabled when a token or admin pubkeys are set
+  admin: {
+    // Shared secret accepted as "Authorization: Bearer <token>"
+    token: process.env.ADMIN_TOKEN || '',
+    // Pubkeys allowed to sign NIP-98 HTTP auth events
+    pubkeys: parseStringList(process.env.ADMIN_PUBKEYS, []),
+    // Number of recently rejected events kept for inspection
+    rejectionLogSize: parseInteger(process.env.ADMIN_REJECTION_LOG_SIZE, 100)
+  },
+
+  // NIP-56 reports and the moderation queue
+  reports: {
+    // Pubkeys whose reports count towards automatic hiding
+    trustedReporters: parseStringList(process.env.TRUSTED_REPORTERS, []),
+    // Trusted reports after which a reported event or pubkey is hidden, 0 to disable
+    autoHideThreshold: parseInteger(process.env.REPORT_AUTO_HIDE_THRESHOLD, 0)
+  },
+
+  readPolicy: {
+    // Kinds only delivered to their author or p-tagged recipients
+    protectedKinds: parseIntegerList(process.env.PROTECTED_KINDS, [4, 1059])
+  }
+};
@@ -0,0 +1,210 @@
+const WebSocket = require('ws');
+
+// How often to check whether the outbound buffer has drained, in milliseconds
+const DRAIN_POLL_INTERVAL = 10;
+
+/**
+ * A single client connection and the subscriptions it owns
+ *
+ * Subscription ids are only unique per connection (NIP-01), so each
+ * connection keeps its own subscription table.
+ */
+class Connection {
+  /**
+   * Wrap a client's WebSocket
+   * @param {WebSocket} ws - The client's WebSocket connection
+   * @param {Object} [info] - Details of the upgrade request
+   * @param {number} [info.id] - Id identifying the connection in logs and the admin API
+   * @param {string} [info.ip] - The client's IP address
+   * @param {string} [info.host] - The Host header the client connected to
+   */
+  constructor(ws, { id = 0, ip = '', host = '' } = {}) {
+    this.id = id;
+    this.ws = ws;
+    this.ip = ip;
+    this.host = host;
+    this.subscriptions = new Map(); // Map of subscription ID to { id, filters }
+    this.challenge = null; // NIP-42 challenge sent to the client
+    this.pubkey = null; // Pubkey the client authenticated as (NIP-42)
+    this.connectedAt = Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * Whether the client has authenticated (NIP-42)
+   * @returns {boolean}
+   */
+  isAuthenticated() {
+    return this.pubkey !== null;
+  }
+
+  /**
+   * Fields identifying the connection in log lines
+   * @returns {Object} - { connection_id, ip, pubkey }
+   */
+  logFields() {
+    return { connection_id: this.id, ip: this.ip, pubkey: this.pubkey || undefined };
+  }
+
+  /**
+   * Whether the underlying socket can still be written to
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Bytes queued on the socket but not yet sent to the client
+   * @returns {number}
+   */
+  bufferedAmount() {
+    return this.ws.bufferedAmount;
+  }
+
+  /**
+   * Wait until the outbound buffer is at or below a threshold, the socket or
+   * subscription closes, or a timeout passes
+   * @param {number} threshold - Maximum buffered bytes
+   * @param {number} timeout - Maximum time to wait, in milliseconds
+   * @param {Object} subscription - The subscription being sent to
+   * @returns {Promise<boolean>} - False if the client did not read enough before the timeout
+   */
+  async waitForDrain(threshold, timeout, subscription) {
+    const deadline = Date.now() + timeout;
+
+    while (this.isOpen() && this.isActive(subscription) && this.ws.bufferedAmount > threshold) {
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_INTERVAL));
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a relay message to the client if the socket is open
+   * @param {Array} message - The message array, e.g. ['EOSE', subscriptionId]
+   */
+  send(message) {
+    if (this.isOpen()) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send an EVENT message for a subscription
+   * @param {string} subscriptionId - The subscription ID
+   * @param {Object} event - The Nostr event
+   */
+  sendEvent(subscriptionId, event) {
+    this.send(['EVENT', subscriptionId, event]);
+  }
+
+  /**
+   * Send an EOSE (End of Stored Events) message
+   * @param {string} subscriptionId - The subscription ID
+   */
+  sendEose(subscriptionId) {
+    this.send(['EOSE', subscriptionId]);
+  }
+
+  /**
+   * Send a COUNT result (NIP-45)
+   * @param {string} subscriptionId - The subscription ID of the COUNT request
+   * @param {number} count - The number of matching events
+   */
+  sendCount(subscriptionId, count) {
+    this.send(['COUNT', subscriptionId, { count }]);
+  }
+
+  /**
+   * Send a CLOSED message for a subscription terminated by the relay
+   * @param {string} subscriptionId - The subscription ID
+   * @param {string} message - Machine-readable prefixed reason
+   */
+  sendClosed(subscriptionId, message) {
+    this.send(['CLOSED', subscriptionId, message]);
+  }
+
+  /**
+   * Send an OK message (NIP-20)
+   * @param {string} eventId - The event ID
+   * @param {boolean} accepted - Whether the event was accepted
+   * @param {string} message - Machine-readable prefixed reason
+   */
+  sendOk(eventId, accepted, message) {
+    this.send(['OK', eventId, accepted, message]);
+  }
+
+  /**
+   * Send an AUTH challenge (NIP-42)
+   * @param {string} challenge - The challenge string
+   */
+  sendAuth(challenge) {
+    this.send(['AUTH', challenge]);
+  }
+
+  /**
+   * Send a NOTICE message
+   * @param {string} message - The notice message
+   */
+  sendNotice(message) {
+    this.send(['NOTICE', message]);
+  }
+
+  /**
+   * Close the connection
+   * @param {number} code - WebSocket close code
+   * @param {string} reason - Close reason
+   */
+  close(code, reason) {
+    this.ws.close(code, reason);
+  }
+
+  /**
+   * Destroy the socket without a closing handshake
+   */
+  terminate() {
+    this.ws.terminate();
+  }
+
+  /**
+   * Register a subscription, replacing any with the same ID
+   * @param {string} subscriptionId - The subscription ID
+   * @param {Array} filters - Array of filters
+   * @returns {Object} - The subscription object { id, filters }
+   */
+  addSubscription(subscriptionId, filters) {
+    const subscription = { id: subscriptionId, filters };
+    this.subscriptions.set(subscriptionId, subscription);
+    return subscription;
+  }
+
+  /**
+   * Remove a subscription
+   * @param {string} subscriptionId - The subscription ID to remove
+   * @returns {boolean} - Whether a subscription was removed
+   */
+  removeSubscription(subscriptionId) {
+    return this.subscriptions.delete(subscriptionId);
+  }
+
+  /**
+   * Check whether a subscription object is still the active one for its ID
+   * @param {Object} subscription - The subscription object
+   * @returns {boolean}
+   */
+  isActive(subscription) {
+    return this.subscriptions.get(subscription.id) === subscription;
+  }
+
+  /**
+   * Remove all subscriptions owned by this connection
+   */
+  clearSubscriptions() {
+    this.subscriptions.clear();
+  }
+}
+
+module.exports = Connection;
@@ -0,0 +1,73 @@
+const db = require('./knex');
+const logger = require('../utils/logger')('db');
+
+/**
+ * Repository for banned pubkeys and blocked event ids
+ */
+class BanRepository {
+  /**
+   * Load all bans
+   * @returns {Promise<Object>} - { pubkeys, events }, arrays of { pubkey|event_id, reason, created_at }
+   */
+  async findAll() {
+    const [pubkeys, events] = await Promise.all([
+      db('banned_pubkeys').select('pubkey', 'reason', 'created_at').orderBy('created_at', 'desc'),
+      db('blocked_events').select('event_id', 'reason', 'created_at').orderBy('created_at', 'desc')
+    ]);
+
+    const toNumber = row => ({ ...row, created_at: Number(row.created_at) });
+    return { pubkeys: pubkeys.map(toNumber), events: events.map(toNumber) };
+  }
+
+  /**
+   * Ban a pubkey, updating the reason if it is already banned
+   * @param {string} pubkey - The pubkey
+   * @param {string} reason - Reason shown to the banned client
+   * @returns {Promise<void>}
+   */
+  async banPubkey(pubkey, reason) {
+    await db('banned_pubkeys')
+      .insert({ pubkey, reason, created_at: Math.floor(Date.now() / 1000) })
+      .onConflict('pubkey')
+      .merge(['reason']);
+    logger.log(`Banned pubkey ${pubkey}`);
+  }
+
+  /**
+   * Lift a pubkey ban
+   * @param {string} pubkey - The pubkey
+   * @returns {Promise<boolean>} - Whether the pubkey was banned
+   */
+  async unbanPubkey(pubkey) {
+    const deleted = await db('banned_pubkeys').where({ pubkey }).del();
+    logger.log(`Unbanned pubkey ${pubkey}: ${deleted > 0}`);
+    return deleted > 0;
+  }
+
+  /**
+   * Block an event id, updating the reason if it is already blocked
+   * @param {string} eventId - The event id
+   * @param {string} reason - Reason given when the event is published
+   * @returns {Promise<void>}
+   */
+  async blockEvent(eventId, reason) {
+    await db('blocked_events')
+      .insert({ event_id: eventId, reason, created_at: Math.floor(Date.now() / 1000) })
+      .onConflict('event_id')
+      .merge(['reason']);
+    logger.log(`Blocked event ${eventId}`);
+  }
+
+  /**
+   * Unblock an event id
+   * @param {string} eventId - The event id
+   * @returns {Promise<boolean>} - Whether the event was blocked
+   */
+  async unblockEvent(eventId) {
+    const deleted = await db('blocked_events').where({ event_id: eventId }).del();
+    logger.log(`Unblocked event ${eventId}: ${deleted > 0}`);
+    return deleted > 0;
+  }
+}
+
+module.exports = new BanRepository();
@@ -0,0 +1,171 @@
+const db = require('./knex');
+const logger = require('../utils/logger')('db');
+
+// Columns of the moderation queue returned to moderators
+const QUEUE_COLUMNS = [
+  'target_type', 'target', 'report_count', 'trusted_report_count', 'report_types',
+  'status', 'first_reported_at', 'last_reported_at', 'reviewed_at'
+];
+
+/**
+ * Repository for NIP-56 reports and the moderation queue
+ */
+class ReportRepository {
+  /**
+   * Record a report on each of its targets and update their queue entries
+   * 
+   * A newer report from the same reporter on the same target replaces the older one.
+   * @param {Object} event - The kind 1984 report event
+   * @param {Array<Object>} targets - Targets { type, target, reportType }
+   * @param {boolean} trusted - Whether the reporter is trusted
+   * @returns {Promise<Array<Object>>} - The updated queue entries
+   */
+  async saveReport(event, targets, trusted) {
+    return db.transaction(async trx => {
+      const entries = [];
+
+      for (const { type, target, reportType } of targets) {
+        await trx('reports')
+          .insert({
+            report_id: event.id,
+            reporter: event.pubkey,
+            target_type: type,
+            target,
+            report_type: reportType,
+            trusted,
+            created_at: event.created_at
+          })
+          .onConflict(['reporter', 'target_type', 'target'])
+          .merge(['report_id', 'report_type', 'trusted', 'created_at'])
+          .where('reports.created_at', '<', event.created_at);
+
+        entries.push(await this._updateQueue(trx, type, target));
+      }
+
+      logger.log(`Recorded report ${event.id} on ${targets.length} targets`);
+      return entries;
+    });
+  }
+
+  /**
+   * Recompute the queue entry of a target from its reports
+   * @param {Object} trx - Knex transaction
+   * @param {string} type - 'event' or 'pubkey'
+   * @param {string} target - The event id or pubkey
+   * @returns {Promise<Object>} - The queue entry
+   */
+  async _updateQueue(trx, type, target) {
+    const [aggregate] = await trx('reports')
+      .where({ target_type: type, target })
+      .select(
+        trx.raw('count(*)::int as report_count'),
+        trx.raw('(count(*) filter (where trusted))::int as trusted_report_count'),
+        trx.raw("coalesce(array_agg(distinct report_type) filter (where report_type <> ''), '{}') as report_types"),
+        trx.raw('min(created_at) as first_reported_at'),
+        trx.raw('max(created_at) as last_reported_at')
+      );
+
+    const [entry] = await trx('moderation_queue')
+      .insert({ target_type: type, target, ...aggregate })
+      .onConflict(['target_type', 'target'])
+      .merge(['report_count', 'trusted_report_count', 'report_types', 'first_reported_at', 'last_reported_at'])
+      .returning(QUEUE_COLUMNS);
+
+    return this._formatEntry(entry);
+  }
+
+  /**
+   * List queue entries, most reported first
+   * @param {string} status - Status of the entries
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>}
+   */
+  async findQueue(status, limit) {
+    const entries = await db('moderation_queue')
+      .select(QUEUE_COLUMNS)
+      .where({ status })
+      .orderBy([
+        { column: 'trusted_report_count', order: 'desc' },
+        { column: 'report_count', order: 'desc' },
+        { column: 'last_reported_at', order: 'desc' }
+      ])
+      .limit(limit);
+
+    return entries.map(entry => this._formatEntry(entry));
+  }
+
+  /**
+   * Get a queue entry with its individual reports
+   * @param {string} type - 'event' or 'pubkey'
+   * @param {string} target - The event id or pubkey
+   * @returns {Promise<Object|null>} - The entry with a reports array, or null
+   */
+  async findEntry(type, target) {
+    const entry = await db('moderation_queue')
+      .select(QUEUE_COLUMNS)
+      .where({ target_type: type, target })
+      .first();
+
+    if (!entry) {
+      return null;
+    }
+
+    const reports = await db('reports')
+      .select('report_id', 'reporter', 'report_type', 'trusted', 'created_at')
+      .where({ target_type: type, target })
+      .orderBy('created_at', 'desc');
+
+    return {
+      ...this._formatEntry(entry),
+      reports: reports.map(report => ({ ...report, created_at: Number(report.created_at) }))
+    };
+  }
+
+  /**
+   * Get the targets currently hidden
+   * @returns {Promise<Array<Object>>} - Entries { target_type, target }
+   */
+  async findHidden() {
+    return db('moderation_queue')
+      .select('target_type', 'target')
+      .where({ status: 'hidden' });
+  }
+
+  /**
+   * Change the status of a queue entry
+   * @param {string} type - 'event' or 'pubkey'
+   * @param {string} target - The event id or pubkey
+   * @param {string} status - The new status
+   * @param {boolean} reviewed - Whether a moderator made the change
+   * @returns {Promise<boolean>} - Whether the entry exists
+   */
+  async setStatus(type, target, status, reviewed) {
+    const update = { status };
+    if (reviewed) {
+      update.reviewed_at = Math.floor(Date.now() / 1000);
+    }
+
+    const updated = await db('moderation_queue')
+      .where({ target_type: type, target })
+      .update(update);
+
+    logger.log(`Set ${type} ${target} to ${status}: ${updated > 0}`);
+    return updated > 0;
+  }
+
+  /**
+   * Convert a queue row's bigint timestamps to numbers
+   * @param {Object} entry - The database row
+   * @returns {Object}
+   */
+  _formatEntry(entry) {
+    return {
+      ...entry,
+      first_reported_at: Number(entry.first_reported_at),
+      last_reported_at: Number(entry.last_reported_at),
+      reviewed_at: entry.reviewed_at === null ? null : Number(entry.reviewed_at)
+    };
+  }
+}
+
+module.exports = new ReportRepository();
@@ -1,4 +1,13 @@
+const crypto = require('crypto');
+const QueryStream = require('pg-query-stream');
 const db = require('./knex');
+const eventKinds = require('../utils/event-kinds');
+const eventValidator = require('../utils/event-validator');
+const searchQuery = require('../utils/search');
+const config = require('../config');
+
+// Columns needed to rebuild a Nostr event
+const EVENT_COLUMNS = ['event_id', 'pubkey', 'created_at', 'kind', 'tags', 'content', 'sig'];
 const logger = require('../utils/logger')('db');
 
 /**
@@ -12,16 +21,8 @@ class EventRepository {
    */
   async saveEvent(event) {
     try {
-      await db('events').insert({
-        event_id: event.id,
-        pubkey: event.pubkey,
-        created_at: event.created_at,
-        kind: event.kind,
-        tags: JSON.stringify(event.tags),
-        content: event.content,
-        sig: event.sig
-      });
-      logger.log('Event saved:', event.id);
+      await db.transaction(trx => this._insertEvent(trx, event));
+      logger.child({ event_id: event.id }).log('Event saved');
       return event.id;
     } catch (error) {
       // If it's a duplicate key error, just return the event ID
@@ -33,106 +34,595 @@ class EventRepository {
   }
 
   /**
-   * Find events matching the given filters
+   * Save a replaceable event, keeping only the newest per pubkey and kind (NIP-16),
+   * or per pubkey, kind and d tag for parameterized replaceable events (NIP-33)
+   * 
+   * The newest event wins; on equal created_at the lowest event id wins.
+   * Older versions are removed in the same transaction as the insert.
+   * @param {Object} event - Nostr event object
+   * @returns {Promise<boolean>} - Whether the event was stored (false if a newer version exists)
+   */
+  async saveReplaceableEvent(event) {
+    try {
+      const stored = await db.transaction(async trx => {
+        const scope = query => this._whereReplacementScope(query, event);
+        const dTag = eventKinds.isParameterizedReplaceable(event.kind) ? eventKinds.getDTag(event) : '';
+
+        // Serialize concurrent writers for the same replacement scope
+        await trx.raw('SELECT pg_advisory_xact_lock(hashtext(?))', [
+          `${event.kind}:${event.pubkey}:${dTag}`
+        ]);
+
+        const newer = await trx('events')
+          .where(scope)
+          .where(query => {
+            query.where('created_at', '>', event.created_at)
+              .orWhere(tie => {
+                tie.where('created_at', event.created_at).where('event_id', '<=', event.id);
+              });
+          })
+          .first('event_id');
+
+        if (newer) {
+          return false;
+        }
+
+        await trx('events')
+          .where(scope)
+          .del();
+
+        await this._insertEvent(trx, event);
+        return true;
+      });
+
+      logger.log(`Replaceable event ${event.id} stored: ${stored}`);
+      return stored;
+    } catch (error) {
+      logger.error('Error saving replaceable event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream events matching the given filters from a database cursor
+   * 
+   * Each filter is limited independently: filters without a limit get the
+   * configured default limit, and no filter can exceed the configured maximum.
+   * Rows are fetched in batches as they are consumed. Stopping the iteration
+   * early (break or return) closes the cursor and releases the database connection.
    * @param {Array} filters - Array of filter objects
-   * @returns {Promise<Array>} - Array of matching events
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.batchSize] - Rows fetched from the cursor at a time
+   * @param {Object} [options.restrictions] - Read restrictions of the client, see countEvents
+   * @returns {AsyncGenerator<Object>} - Matching events
    */
-  async findEvents(filters) {
-    let query = db('events').where('deleted', false);
+  async *streamEvents(filters, { batchSize = 100, restrictions = {} } = {}) {
+    const query = this._buildFindQuery(filters, restrictions);
+    if (!query) {
+      return;
+    }
     
-    // Apply filters
+    // A dedicated pooled connection holds the cursor for the lifetime of the stream
+    const { sql, bindings } = query.toSQL().toNative();
+    const connection = await db.client.acquireConnection();
+    const stream = connection.query(new QueryStream(sql, bindings, { batchSize, highWaterMark: batchSize }));
+    let count = 0;
+    
+    try {
+      for await (const row of stream) {
+        count++;
+        yield this._formatEvent(row);
+      }
+      logger.log(`Streamed ${count} events matching filters`);
+    } catch (error) {
+      logger.error('Error streaming events:', error);
+      throw error;
+    } finally {
+      // Close the cursor if the consumer stopped early, then return the connection
+      if (!stream.destroyed) {
+        await new Promise(resolve => {
+          stream.once('close', resolve);
+          stream.destroy();
+        });
+      }
+      await db.client.releaseConnection(connection);
+    }
+  }
+
+  /**
+   * Count events matching any of the given filters (NIP-45)
+   * 
+   * Events matching several filters are only counted once; limits are ignored.
+   * Events clients may not read are left out, as described by the restrictions.
+   * @param {Array} filters - Array of filter objects
+   * @param {Object} [restrictions] - Read restrictions of the client
+   * @param {Array<string>} [restrictions.excludedPubkeys] - Authors whose events are not counted
+   * @param {Array<string>} [restrictions.excludedEventIds] - Events that are not counted
+   * @param {Array<number>} [restrictions.protectedKinds] - Kinds only counted for their participants
+   * @param {string|null} [restrictions.reader] - Pubkey the client authenticated as
+   * @returns {Promise<number>} - Number of matching events
+   */
+  async countEvents(filters, restrictions = {}) {
     if (!filters || filters.length === 0) {
-      return [];
+      return 0;
     }
     
     try {
-      // Process each filter as an OR condition
-      const events = await Promise.all(filters.map(async filter => {
-        let subQuery = db('events').where('deleted', false);
-        
-        // Apply filter conditions
-        if (filter.ids) {
-          subQuery = subQuery.whereIn('event_id', filter.ids);
-        }
-        
-        if (filter.authors) {
-          subQuery = subQuery.whereIn('pubkey', filter.authors);
-        }
-        
-        if (filter.kinds) {
-          subQuery = subQuery.whereIn('kind', filter.kinds);
+      const now = Math.floor(Date.now() / 1000);
+
+      const result = await db('events')
+        .where(builder => {
+          filters.forEach(filter => {
+            builder.orWhere(subQuery => {
+              this._applyFilter(subQuery, filter, now);
+            });
+          });
+        })
+        .where(builder => this._applyReadRestrictions(builder, restrictions))
+        .count('* as count')
+        .first();
+
+      const count = parseInt(result.count, 10);
+      logger.log(`Counted ${count} events matching filters`);
+      return count;
+    } catch (error) {
+      logger.error('Error counting events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leave out events a client may not read
+   * @param {Object} query - Knex query builder on the events table
+   * @param {Object} restrictions - Read restrictions, see countEvents
+   * @returns {Object} - The query builder
+   * @private
+   */
+  _applyReadRestrictions(query, { excludedPubkeys = [], excludedEventIds = [], protectedKinds = [], reader = null }) {
+    // Lists are bound as single array parameters, however many bans there are
+    if (excludedPubkeys.length > 0) {
+      query.whereRaw('NOT (pubkey = ANY(?))', [excludedPubkeys]);
+    }
+    
+    if (excludedEventIds.length > 0) {
+      query.whereRaw('NOT (event_id = ANY(?))', [excludedEventIds]);
+    }
+    
+    // Protected events are only read by their author and p-tagged recipients
+    if (protectedKinds.length > 0) {
+      query.where(builder => {
+        builder.whereNotIn('kind', protectedKinds);
+        if (reader) {
+          builder.orWhere(participant => {
+            participant.where('pubkey', reader)
+              .orWhereIn('event_id', this._taggedEventIds('p', [reader]));
+          });
         }
+      });
+    }
+    
+    return query;
+  }
+
+  /**
+   * Build the query for streamEvents
+   * 
+   * All filters are combined into a single query: each filter selects its own best
+   * events up to its limit, and the union is returned in the same order. Search
+   * filters rank events by relevance (NIP-50), so ranked events come first, most
+   * relevant first; otherwise events are newest first with ties broken by lowest
+   * id (NIP-01). Events the client may not read are left out before the limits.
+   * @param {Array} filters - Array of filter objects
+   * @param {Object} [restrictions] - Read restrictions of the client, see countEvents
+   * @returns {Object|null} - Knex query builder, or null if no stored events are requested
+   * @private
+   */
+  _buildFindQuery(filters, restrictions = {}) {
+    if (!filters || filters.length === 0) {
+      return null;
+    }
+    
+    const now = Math.floor(Date.now() / 1000);
+
+    // Each filter is an OR condition with its own limit; limit 0 asks for no stored events
+    const subQueries = filters
+      .map(filter => ({ filter, limit: this._effectiveLimit(filter) }))
+      .filter(({ limit }) => limit > 0)
+      .map(({ filter, limit }) => {
+        // Order search results by relevance first (NIP-50), other filters rank every event 0
+        const searchText = typeof filter.search === 'string' ? searchQuery.parse(filter.search).text : '';
+        const rank = searchText
+          ? db.raw("ts_rank(content_tsv, websearch_to_tsquery('simple', ?)) AS rank", [searchText])
+          : db.raw('0::real AS rank');
         
-        if (filter.since) {
-          subQuery = subQuery.where('created_at', '>=', filter.since);
+        return this._applyFilter(db('events').select('id', rank), filter, now)
+          .where(builder => this._applyReadRestrictions(builder, restrictions))
+          .orderBy('rank', 'desc')
+          .orderBy('created_at', 'desc')
+          .orderBy('event_id', 'asc')
+          .limit(limit);
+      });
+
+    if (subQueries.length === 0) {
+      return null;
+    }
+    
+    // Events matched by several filters are returned once, with their best rank
+    const matched = db.select('id')
+      .max('rank AS rank')
+      .from(db.unionAll(subQueries, true).as('matched'))
+      .groupBy('id');
+    
+    return db('events')
+      .select(EVENT_COLUMNS.map(column => `events.${column}`))
+      .join(matched.as('ranked'), 'ranked.id', 'events.id')
+      .orderBy('ranked.rank', 'desc')
+      .orderBy('events.created_at', 'desc')
+      .orderBy('events.event_id', 'asc');
+  }
+
+  /**
+   * Get the number of stored events a filter may return
+   * @param {Object} filter - Filter object
+   * @returns {number} - The filter's limit, defaulted and capped by configuration
+   * @private
+   */
+  _effectiveLimit(filter) {
+    const { defaultLimit, maxLimit } = config.query;
+    
+    if (!Number.isInteger(filter.limit) || filter.limit < 0) {
+      return Math.min(defaultLimit, maxLimit);
+    }
+    
+    return Math.min(filter.limit, maxLimit);
+  }
+
+  /**
+   * Apply the where clauses of a filter to a query, excluding limit and ordering
+   * @param {Object} query - Knex query builder on the events table
+   * @param {Object} filter - Filter object
+   * @param {number} now - Current unix timestamp, for expiration
+   * @returns {Object} - The query builder
+   * @private
+   */
+  _applyFilter(query, filter, now) {
+    let subQuery = query.where('deleted', false);
+    
+    // Never return expired events (NIP-40)
+    subQuery = subQuery.where(builder => {
+      builder.whereNull('expires_at').orWhere('expires_at', '>', now);
+    });
+    
+    // Apply filter conditions; ids and authors may be hex prefixes
+    if (filter.ids) {
+      subQuery = this._whereHexPrefixes(subQuery, 'event_id', filter.ids);
+    }
+    
+    if (filter.authors) {
+      subQuery = this._whereHexPrefixes(subQuery, 'pubkey', filter.authors);
+    }
+    
+    if (filter.kinds) {
+      subQuery = subQuery.whereIn('kind', filter.kinds);
+    }
+    
+    if (filter.since) {
+      subQuery = subQuery.where('created_at', '>=', filter.since);
+    }
+    
+    if (filter.until) {
+      subQuery = subQuery.where('created_at', '<=', filter.until);
+    }
+    
+    // Full-text search (NIP-50)
+    if (typeof filter.search === 'string') {
+      const { text, extensions } = searchQuery.parse(filter.search);
+      
+      if (text) {
+        subQuery = subQuery.whereRaw("content_tsv @@ websearch_to_tsquery('simple', ?)", [text]);
+      }
+      
+      // Keep unlabeled events and events labeled with the requested language (NIP-32 l tags)
+      if (extensions.language) {
+        subQuery = subQuery.whereRaw(`
+          (NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(tags) tag
+            WHERE tag->>0 = 'l' AND tag->>2 = 'ISO-639-1'
+          ) OR EXISTS (
+            SELECT 1 FROM jsonb_array_elements(tags) tag
+            WHERE tag->>0 = 'l' AND tag->>2 = 'ISO-639-1' AND lower(tag->>1) = ?
+          ))
+        `, [extensions.language.toLowerCase()]);
+      }
+    }
+    
+    // Handle tag filters (#e, #p, etc.)
+    Object.keys(filter).forEach(key => {
+      if (key === '#d') {
+        // Parameterized replaceable events keep their d tag in a column,
+        // which also matches a missing d tag as the empty string (NIP-33)
+        const tagValues = filter[key];
+        subQuery = subQuery.where(builder => {
+          builder.where(dTags => this._whereHashedIn(dTags, 'd_tag', tagValues))
+            .orWhereIn('event_id', this._taggedEventIds('d', tagValues));
+        });
+      } else if (/^#[a-zA-Z]$/.test(key)) {
+        // Single-letter tags are looked up in the event_tags index
+        subQuery = subQuery.whereIn('event_id', this._taggedEventIds(key.substring(1), filter[key]));
+      }
+    });
+    
+    return subQuery;
+  }
+
+  /**
+   * Hard-delete a batch of expired events (NIP-40)
+   * @param {number} batchSize - Maximum number of events to delete
+   * @returns {Promise<number>} - Number of deleted events
+   */
+  async deleteExpiredEvents(batchSize) {
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const deleted = await db('events')
+        .whereIn('id', db('events')
+          .select('id')
+          .where('expires_at', '<=', now)
+          .limit(batchSize))
+        .del();
+
+      logger.log(`Deleted ${deleted} expired events`);
+      return deleted;
+    } catch (error) {
+      logger.error('Error deleting expired events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently remove an event, along with its tag rows
+   * @param {string} eventId - The event ID
+   * @returns {Promise<boolean>} - Whether the event existed
+   */
+  async hardDeleteEvent(eventId) {
+    try {
+      const deleted = await db('events').where({ event_id: eventId }).del();
+      logger.log(`Hard-deleted event ${eventId}: ${deleted > 0}`);
+      return deleted > 0;
+    } catch (error) {
+      logger.error('Error hard-deleting event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a deletion event (NIP-09), recording tombstones and marking the referenced events as deleted
+   * 
+   * Only events authored by the deletion's pubkey are affected. Coordinates of replaceable
+   * events delete every version up to the deletion's created_at.
+   * @param {Object} event - The kind 5 deletion event
+   * @param {Array<string>} eventIds - IDs of events to delete (e tags)
+   * @param {Array<string>} coordinates - Coordinates "<kind>:<pubkey>:<d tag>" to delete (a tags)
+   * @returns {Promise<Object>} - { stored, deletedCount }, stored is false for a duplicate deletion
+   */
+  async saveDeletion(event, eventIds, coordinates) {
+    try {
+      const result = await db.transaction(async trx => {
+        const existing = await trx('events').where('event_id', event.id).first('id');
+        if (existing) {
+          return { stored: false, deletedCount: 0 };
         }
-        
-        if (filter.until) {
-          subQuery = subQuery.where('created_at', '<=', filter.until);
+
+        const tombstones = [
+          ...eventIds.map(eventId => ({ target_event_id: eventId })),
+          ...coordinates.map(coordinate => ({ target_coordinate: coordinate }))
+        ].map(target => ({
+          deletion_id: event.id,
+          pubkey: event.pubkey,
+          created_at: event.created_at,
+          ...target
+        }));
+
+        if (tombstones.length > 0) {
+          await trx('deletions').insert(tombstones);
         }
-        
-        if (filter.limit) {
-          subQuery = subQuery.limit(filter.limit);
+
+        let deletedCount = 0;
+
+        if (eventIds.length > 0) {
+          deletedCount += await trx('events')
+            .whereIn('event_id', eventIds)
+            .where({ pubkey: event.pubkey, deleted: false })
+            .whereNot('kind', 5)
+            .update({ deleted: true });
         }
-        
-        // Handle tag filters (#e, #p, etc.)
-        if (filter) {
-          Object.keys(filter).forEach(key => {
-            if (key.startsWith('#')) {
-              const tagName = key.substring(1);
-              const tagValues = filter[key];
-              
-              // Filter by tag values using JSONB query
-              subQuery = subQuery.whereRaw(`
-                EXISTS (
-                  SELECT 1 FROM jsonb_array_elements(tags) tag
-                  WHERE tag->0 = ? AND tag->1 = ANY(?)
-                )
-              `, [JSON.stringify(tagName), tagValues]);
-            }
-          });
+
+        for (const coordinate of coordinates) {
+          const { kind, pubkey, dTag } = eventKinds.parseCoordinate(coordinate);
+          deletedCount += await trx('events')
+            .where({ kind, pubkey, deleted: false })
+            .whereRaw("COALESCE(d_tag, '') = ?", [dTag])
+            .where('created_at', '<=', event.created_at)
+            .update({ deleted: true });
         }
-        
-        // Order by created_at descending
-        subQuery = subQuery.orderBy('created_at', 'desc');
-        
-        return subQuery;
-      }));
-      
-      // Flatten and deduplicate events
-      const flattenedEvents = events.flat();
-      const uniqueEvents = [...new Map(flattenedEvents.map(event => [event.event_id, event])).values()];
-      
-      const formattedEvents = uniqueEvents.map(this._formatEvent);
-      logger.log(`Found ${formattedEvents.length} events matching filters`);
-      return formattedEvents;
+
+        await this._insertEvent(trx, event);
+        return { stored: true, deletedCount };
+      });
+
+      logger.log(`Deletion ${event.id} stored: ${result.stored}, deleted ${result.deletedCount} events`);
+      return result;
     } catch (error) {
-      logger.error('Error finding events:', error);
+      logger.error('Error saving deletion:', error);
       throw error;
     }
   }
 
   /**
-   * Mark events as deleted (for NIP-09)
-   * @param {string} eventId - ID of the event to delete
-   * @param {string} pubkey - Public key of the user requesting deletion
-   * @returns {Promise<boolean>} - Whether the deletion was successful
+   * Check whether an event is already stored
+   * @param {string} eventId - The event ID
+   * @returns {Promise<boolean>}
    */
-  async markEventAsDeleted(eventId, pubkey) {
+  async hasEvent(eventId) {
     try {
-      const updated = await db('events')
-        .where({ event_id: eventId, pubkey })
-        .update({ deleted: true });
-      
-      const success = updated > 0;
-      logger.log(`Marked event ${eventId} as deleted: ${success}`);
-      return success;
+      const existing = await db('events').where('event_id', eventId).first('id');
+      return Boolean(existing);
     } catch (error) {
-      logger.error('Error marking event as deleted:', error);
+      logger.error('Error checking for a stored event:', error);
       throw error;
     }
   }
 
+  /**
+   * Check whether an event has been deleted by its author (NIP-09 tombstones)
+   * @param {Object} event - Nostr event object
+   * @returns {Promise<boolean>} - Whether a matching tombstone exists
+   */
+  async isDeleted(event) {
+    try {
+      const coordinate = eventKinds.getCoordinate(event);
+
+      const tombstone = await db('deletions')
+        .where('pubkey', event.pubkey)
+        .where(query => {
+          query.where('target_event_id', event.id);
+          if (coordinate) {
+            query.orWhere(byCoordinate => {
+              byCoordinate.where('target_coordinate', coordinate)
+                .where('created_at', '>=', event.created_at);
+            });
+          }
+        })
+        .first('id');
+
+      return Boolean(tombstone);
+    } catch (error) {
+      logger.error('Error checking deletion tombstones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert an event and its single-letter tag index rows
+   * @param {Object} trx - Knex transaction
+   * @param {Object} event - Nostr event object
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _insertEvent(trx, event) {
+    await trx('events').insert(this._toRow(event));
+
+    const tagRows = this._toTagRows(event);
+    if (tagRows.length > 0) {
+      await trx('event_tags').insert(tagRows).onConflict().ignore();
+    }
+  }
+
+  /**
+   * Convert the indexable tags of an event to event_tags rows
+   * 
+   * Only single-letter tag names are indexed (NIP-01).
+   * @param {Object} event - Nostr event object
+   * @returns {Array<Object>} - Rows for the event_tags table
+   * @private
+   */
+  _toTagRows(event) {
+    return event.tags
+      .filter(tag => /^[a-zA-Z]$/.test(tag[0]) && typeof tag[1] === 'string')
+      .map(tag => ({ event_id: event.id, name: tag[0], value: tag[1] }));
+  }
+
+  /**
+   * Match a hex column against full values or prefixes
+   * 
+   * Values are expected to be validated lowercase hex, so they are safe in LIKE patterns.
+   * @param {Object} query - Knex query builder
+   * @param {string} column - Column holding 64-character hex strings
+   * @param {Array<string>} values - Full values or prefixes
+   * @returns {Object} - The query builder
+   * @private
+   */
+  _whereHexPrefixes(query, column, values) {
+    const exact = values.filter(value => value.length === 64);
+    const prefixes = values.filter(value => value.length < 64);
+    
+    if (prefixes.length === 0) {
+      return query.whereIn(column, exact);
+    }
+    
+    return query.where(builder => {
+      builder.whereIn(column, exact);
+      prefixes.forEach(prefix => {
+        builder.orWhere(column, 'like', `${prefix}%`);
+      });
+    });
+  }
+
+  /**
+   * Build a subquery selecting ids of events with a tag name and any of the values
+   * @param {string} name - Single-letter tag name
+   * @param {Array<string>} values - Tag values
+   * @returns {Object} - Knex query builder on event_tags
+   * @private
+   */
+  _taggedEventIds(name, values) {
+    return db('event_tags')
+      .select('event_id')
+      .where('name', name)
+      .where(query => this._whereHashedIn(query, 'value', values));
+  }
+
+  /**
+   * Match a text column indexed by md5(column) against any of the values
+   * 
+   * Tag values are unbounded, so they are indexed by their hash rather than
+   * as text, which Postgres refuses beyond about 2.7KB per index row. The
+   * hash selects rows through the index and the value check rules out collisions.
+   * @param {Object} query - Knex query builder
+   * @param {string} column - Column with an md5 expression index
+   * @param {Array<string>} values - Values to match
+   * @returns {Object} - The query builder
+   * @private
+   */
+  _whereHashedIn(query, column, values) {
+    const hashes = values.map(value => crypto.createHash('md5').update(value, 'utf8').digest('hex'));
+    return query.whereRaw('md5(??) = ANY(?)', [column, hashes]).whereIn(column, values);
+  }
+
+  /**
+   * Convert a Nostr event to a database row
+   * @param {Object} event - Nostr event object
+   * @returns {Object} - Row for the events table
+   * @private
+   */
+  _toRow(event) {
+    return {
+      event_id: event.id,
+      pubkey: event.pubkey,
+      created_at: event.created_at,
+      kind: event.kind,
+      tags: JSON.stringify(event.tags),
+      content: event.content,
+      sig: event.sig,
+      d_tag: eventKinds.isParameterizedReplaceable(event.kind) ? eventKinds.getDTag(event) : null,
+      expires_at: eventValidator.getExpiration(event)
+    };
+  }
+
+  /**
+   * Restrict a query to the versions of a replaceable event
+   * @param {Object} query - Knex query builder on events
+   * @param {Object} event - Nostr event object
+   * @returns {Object} - The query builder
+   * @private
+   */
+  _whereReplacementScope(query, event) {
+    query.where({ pubkey: event.pubkey, kind: event.kind });
+    if (eventKinds.isParameterizedReplaceable(event.kind)) {
+      this._whereHashedIn(query, 'd_tag', [eventKinds.getDTag(event)]);
+    }
+    return query;
+  }
+
   /**
    * Format database event to Nostr event format
    * @param {Object} dbEvent - Event from database
@@ -143,7 +633,8 @@ class EventRepository {
     return {
       id: dbEvent.event_id,
       pubkey: dbEvent.pubkey,
-      created_at: dbEvent.created_at,
+      // bigint columns are returned as strings
+      created_at: Number(dbEvent.created_at),
       kind: dbEvent.kind,
       tags: typeof dbEvent.tags === 'string' ? JSON.parse(dbEvent.tags) : dbEvent.tags,
       content: dbEvent.content,
@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const express = require('express');
+const eventHandler = require('./event');
+const reportHandler = require('./report');
+const eventRepository = require('../db/repository');
+const reportRepository = require('../db/report-repository');
+const eventValidator = require('../utils/event-validator');
+const config = require('../config');
+const logger = require('../utils/logger')('admin');
+
+// Kind of the event signed for NIP-98 HTTP auth
+const HTTP_AUTH_KIND = 27235;
+
+// Maximum distance in seconds between an HTTP auth event's created_at and now (NIP-98)
+const HTTP_AUTH_MAX_AGE = 60;
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+
+// Moderator actions on the report queue and the status each one sets
+const REPORT_ACTIONS = { hide: 'hidden', dismiss: 'dismissed', ban: 'banned', reopen: 'pending' };
+
+// Largest page of the report queue
+const MAX_QUEUE_LIMIT = 500;
+
+/**
+ * Handler for the admin HTTP API
+ *
+ * Requests are authenticated with the configured bearer token or with a NIP-98
+ * HTTP auth event signed by one of the admin pubkeys. Bans are applied to live
+ * connections as soon as they are made.
+ */
+class AdminHandler {
+  /**
+   * Whether any admin credential is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return config.admin.token !== '' || config.admin.pubkeys.length > 0;
+  }
+
+  /**
+   * Build the router serving the admin API
+   * @returns {express.Router}
+   */
+  createRouter() {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+      const reason = this.authenticate(req);
+      if (reason) {
+        logger.log(`Refused admin request ${req.method} ${req.originalUrl}: ${reason}`);
+        return res.status(401).json({ error: reason });
+      }
+      next();
+    });
+
+    router.get('/banned-pubkeys', (req, res) => this.listBannedPubkeys(req, res));
+    router.put('/banned-pubkeys/:pubkey', this.route((req, res) => this.banPubkey(req, res)));
+    router.delete('/banned-pubkeys/:pubkey', this.route((req, res) => this.unbanPubkey(req, res)));
+    router.get('/blocked-events', (req, res) => this.listBlockedEvents(req, res));
+    router.put('/blocked-events/:id', this.route((req, res) => this.blockEvent(req, res)));
+    router.delete('/blocked-events/:id', this.route((req, res) => this.unblockEvent(req, res)));
+    router.delete('/events/:id', this.route((req, res) => this.deleteEvent(req, res)));
+    router.get('/connections', (req, res) => this.listConnections(req, res));
+    router.get('/rejections', (req, res) => this.listRejections(req, res));
+    router.get('/reports', this.route((req, res) => this.listReports(req, res)));
+    router.get('/reports/:type/:target', this.route((req, res) => this.getReport(req, res)));
+    router.post('/reports/:type/:target', this.route((req, res) => this.reviewReport(req, res)));
+
+    return router;
+  }
+
+  /**
+   * Wrap an async route so failures are answered with a 500
+   * @param {Function} handler - The async route handler
+   * @returns {Function}
+   */
+  route(handler) {
+    return async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (error) {
+        logger.error(`Error handling admin request ${req.method} ${req.originalUrl}:`, error);
+        res.status(500).json({ error: 'internal error' });
+      }
+    };
+  }
+
+  /**
+   * Authenticate an admin request
+   * @param {express.Request} req - The request
+   * @returns {string|null} - Reason the request is refused, or null if it is authenticated
+   */
+  authenticate(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, credentials] = header.split(' ');
+
+    if (scheme === 'Bearer' && config.admin.token) {
+      return this.matchToken(credentials || '') ? null : 'invalid token';
+    }
+
+    if (scheme === 'Nostr' && config.admin.pubkeys.length > 0) {
+      return this.verifyHttpAuth(credentials || '', req);
+    }
+
+    return 'authentication required';
+  }
+
+  /**
+   * Compare a bearer token with the configured one in constant time
+   * @param {string} token - The token from the request
+   * @returns {boolean}
+   */
+  matchToken(token) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(config.admin.token));
+  }
+
+  /**
+   * Verify a NIP-98 HTTP auth event
+   * @param {string} credentials - The base64 encoded event
+   * @param {express.Request} req - The request it must authorize
+   * @returns {string|null} - Reason the event is refused, or null if it is valid
+   */
+  verifyHttpAuth(credentials, req) {
+    let event;
+    try {
+      event = JSON.parse(Buffer.from(credentials, 'base64').toString('utf8'));
+    } catch (error) {
+      return 'malformed auth event';
+    }
+
+    const verification = eventValidator.verifyEvent(event);
+    if (!verification.valid) {
+      return verification.reason;
+    }
+
+    if (event.kind !== HTTP_AUTH_KIND) {
+      return `auth event must be kind ${HTTP_AUTH_KIND}`;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - event.created_at) > HTTP_AUTH_MAX_AGE) {
+      return 'auth event is too old or too far in the future';
+    }
+
+    const tag = name => (event.tags.find(tag => tag[0] === name) || [])[1];
+
+    if (!this.matchRequestUrl(tag('u'), req)) {
+      return 'auth event url does not match';
+    }
+
+    if (typeof tag('method') !== 'string' || tag('method').toUpperCase() !== req.method) {
+      return 'auth event method does not match';
+    }
+
+    const payload = tag('payload');
+    if (payload !== undefined) {
+      const hash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+      if (payload !== hash) {
+        return 'auth event payload does not match';
+      }
+    }
+
+    if (!config.admin.pubkeys.includes(event.pubkey)) {
+      return 'pubkey is not an admin';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an auth event's u tag is the URL of the request
+   *
+   * Only host, path and query are compared, so http:// and https:// behind a TLS proxy both match.
+   * @param {string} url - The URL from the auth event
+   * @param {express.Request} req - The request
+   * @returns {boolean}
+   */
+  matchRequestUrl(url, req) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.host.toLowerCase()}${parsed.pathname}${parsed.search}` ===
+        `${(req.headers.host || '').toLowerCase()}${req.originalUrl}`;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * GET /banned-pubkeys
+   */
+  listBannedPubkeys(req, res) {
+    const pubkeys = [...eventHandler.bans.pubkeys].map(([pubkey, reason]) => ({ pubkey, reason }));
+    res.json(pubkeys);
+  }
+
+  /**
+   * PUT /banned-pubkeys/:pubkey with an optional { reason }
+   *
+   * Clients authenticated as the pubkey are disconnected.
+   */
+  async banPubkey(req, res) {
+    const { pubkey } = req.params;
+    if (!HEX_64.test(pubkey)) {
+      return res.status(400).json({ error: 'pubkey must be 64 lowercase hex characters' });
+    }
+
+    const reason = this.getReason(req);
+    await eventHandler.bans.banPubkey(pubkey, reason);
+    const disconnected = eventHandler.disconnectPubkey(pubkey, eventHandler.bans.formatReason('pubkey is banned', reason));
+
+    logger.log(`Banned pubkey ${pubkey}, disconnected ${disconnected} clients`);
+    res.json({ pubkey, reason, disconnected });
+  }
+
+  /**
+   * DELETE /banned-pubkeys/:pubkey
+   */
+  async unbanPubkey(req, res) {
+    const existed = await eventHandler.bans.unbanPubkey(req.params.pubkey);
+    if (!existed) {
+      return res.status(404).json({ error: 'pubkey is not banned' });
+    }
+    res.json({ pubkey: req.params.pubkey });
+  }
+
+  /**
+   * GET /blocked-events
+   */
+  listBlockedEvents(req, res) {
+    const events = [...eventHandler.bans.events].map(([id, reason]) => ({ id, reason }));
+    res.json(events);
+  }
+
+  /**
+   * PUT /blocked-events/:id with an optional { reason }
+   */
+  async blockEvent(req, res) {
+    const { id } = req.params;
+    if (!HEX_64.test(id)) {
+      return res.status(400).json({ error: 'event id must be 64 lowercase hex characters' });
+    }
+
+    const reason = this.getReason(req);
+    await eventHandler.bans.blockEvent(id, reason);
+    res.json({ id, reason });
+  }
+
+  /**
+   * DELETE /blocked-events/:id
+   */
+  async unblockEvent(req, res) {
+    const existed = await eventHandler.bans.unblockEvent(req.params.id);
+    if (!existed) {
+      return res.status(404).json({ error: 'event is not blocked' });
+    }
+    res.json({ id: req.params.id });
+  }
+
+  /**
+   * DELETE /events/:id, removing the event from the database
+   */
+  async deleteEvent(req, res) {
+    const deleted = await eventRepository.hardDeleteEvent(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'event not found' });
+    }
+    res.json({ id: req.params.id });
+  }
+
+  /**
+   * GET /connections, with each client's subscriptions
+   */
+  listConnections(req, res) {
+    const connections = [...eventHandler.connections].map(connection => ({
+      id: connection.id,
+      ip: connection.ip,
+      pubkey: connection.pubkey,
+      connected_at: connection.connectedAt,
+      buffered_bytes: connection.bufferedAmount(),
+      subscriptions: [...connection.subscriptions.values()].map(({ id, filters }) => ({ id, filters }))
+    }));
+    res.json(connections);
+  }
+
+  /**
+   * GET /rejections, newest first
+   */
+  listRejections(req, res) {
+    res.json([...eventHandler.rejections].reverse());
+  }
+
+  /**
+   * GET /reports?status=pending&limit=100, most reported first
+   */
+  async listReports(req, res) {
+    const status = typeof req.query.status === 'string' ? req.query.status : 'pending';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_QUEUE_LIMIT);
+    res.json(await reportRepository.findQueue(status, limit));
+  }
+
+  /**
+   * GET /reports/:type/:target, a queue entry with its individual reports
+   */
+  async getReport(req, res) {
+    const entry = await reportRepository.findEntry(req.params.type, req.params.target);
+    if (!entry) {
+      return res.status(404).json({ error: 'no reports on this target' });
+    }
+    res.json(entry);
+  }
+
+  /**
+   * POST /reports/:type/:target with { action, reason }
+   *
+   * Actions are hide, dismiss, reopen and ban. Banning bans the reported
+   * pubkey or blocks the reported event.
+   */
+  async reviewReport(req, res) {
+    const { type, target } = req.params;
+    const action = req.body && req.body.action;
+    const status = REPORT_ACTIONS[action];
+
+    if (!status) {
+      return res.status(400).json({ error: `action must be one of ${Object.keys(REPORT_ACTIONS).join(', ')}` });
+    }
+
+    const entry = await reportRepository.findEntry(type, target);
+    if (!entry) {
+      return res.status(404).json({ error: 'no reports on this target' });
+    }
+
+    if (action === 'ban') {
+      const reason = this.getReason(req);
+      if (type === 'pubkey') {
+        await eventHandler.bans.banPubkey(target, reason);
+        eventHandler.disconnectPubkey(target, eventHandler.bans.formatReason('pubkey is banned', reason));
+      } else {
+        await eventHandler.bans.blockEvent(target, reason);
+      }
+    }
+
+    await reportHandler.review(type, target, status);
+    logger.log(`Report queue: ${action} ${type} ${target}`);
+    res.json({ target_type: type, target, status });
+  }
+
+  /**
+   * Read the optional moderator's reason from a request body
+   * @param {express.Request} req - The request
+   * @returns {string}
+   */
+  getReason(req) {
+    return req.body && typeof req.body.reason === 'string' ? req.body.reason : '';
+  }
+}
+
+module.exports = new AdminHandler();
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const eventValidator = require('../utils/event-validator');
+const config = require('../config');
+const logger = require('../utils/logger')('auth');
+
+// Kind of the ephemeral event clients sign to authenticate (NIP-42)
+const AUTH_KIND = 22242;
+
+/**
+ * Handler for NIP-42 client authentication
+ */
+class AuthHandler {
+  /**
+   * Issue a new challenge to a client
+   * @param {Connection} connection - The client connection
+   */
+  sendChallenge(connection) {
+    connection.challenge = crypto.randomBytes(16).toString('hex');
+    connection.sendAuth(connection.challenge);
+  }
+
+  /**
+   * Process an AUTH message from a client
+   * @param {Object} event - The signed kind 22242 auth event
+   * @param {Connection} connection - The client connection
+   * @returns {Object} - Result object { success, message, event_id }
+   */
+  handleAuth(event, connection) {
+    const verification = eventValidator.verifyEvent(event);
+    if (!verification.valid) {
+      return { success: false, message: verification.reason, event_id: event.id };
+    }
+
+    if (event.kind !== AUTH_KIND) {
+      return { success: false, message: `invalid: auth event must be kind ${AUTH_KIND}`, event_id: event.id };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - event.created_at) > config.auth.maxAge) {
+      return { success: false, message: 'invalid: auth event is too old or too far in the future', event_id: event.id };
+    }
+
+    const challengeTag = event.tags.find(tag => tag[0] === 'challenge');
+    if (!connection.challenge || !challengeTag || challengeTag[1] !== connection.challenge) {
+      return { success: false, message: 'invalid: challenge does not match', event_id: event.id };
+    }
+
+    const relayTag = event.tags.find(tag => tag[0] === 'relay');
+    if (!relayTag || !this.matchRelayUrl(relayTag[1], connection)) {
+      return { success: false, message: 'invalid: relay url does not match', event_id: event.id };
+    }
+
+    connection.pubkey = event.pubkey;
+    logger.child(connection.logFields()).info('Client authenticated');
+
+    return { success: true, message: '', event_id: event.id };
+  }
+
+  /**
+   * Check whether an auth event's relay tag refers to this relay
+   *
+   * Only host and path are compared, so ws:// and wss:// behind a TLS proxy both match.
+   * @param {string} url - The relay URL from the auth event
+   * @param {Connection} connection - The client connection
+   * @returns {boolean}
+   */
+  matchRelayUrl(url, connection) {
+    const expected = config.relayUrl || `ws://${connection.host}`;
+    const normalize = value => {
+      const parsed = new URL(value);
+      return `${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}`;
+    };
+
+    try {
+      return normalize(url) === normalize(expected);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether an event is a NIP-42 auth event
+   * @param {Object} event - The Nostr event
+   * @returns {boolean}
+   */
+  isAuthEvent(event) {
+    return event.kind === AUTH_KIND;
+  }
+
+  /**
+   * Check whether a client must authenticate before publishing
+   * @param {Connection} connection - The client connection
+   * @returns {boolean}
+   */
+  requiresAuthForWrite(connection) {
+    return config.auth.requiredForWrites && !connection.isAuthenticated();
+  }
+
+  /**
+   * Check whether a client must authenticate before subscribing
+   * @param {Connection} connection - The client connection
+   * @returns {boolean}
+   */
+  requiresAuthForRead(connection) {
+    return config.auth.requiredForReads && !connection.isAuthenticated();
+  }
+
+  /**
+   * NIPs implemented by this handler, for NIP-11
+   * @returns {Array<number>}
+   */
+  supportedNips() {
+    return [42];
+  }
+}
+
+module.exports = new AuthHandler();
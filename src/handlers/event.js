@@ -1,6 +1,17 @@
 const eventRepository = require('../db/repository');
 const eventValidator = require('../utils/event-validator');
-const filterMatcher = require('../utils/filters');
+const eventKinds = require('../utils/event-kinds');
+const authHandler = require('./auth');
+const reportHandler = require('./report');
+const ProtectedKindsPolicy = require('../policies/protected-kinds');
+const RateLimitPolicy = require('../policies/rate-limits');
+const WritePolicy = require('../policies/write-policy');
+const ProofOfWorkPolicy = require('../policies/proof-of-work');
+const BanPolicy = require('../policies/bans');
+const SubscriptionIndex = require('../utils/subscription-index');
+const ConcurrencyLimiter = require('../utils/concurrency-limiter');
+const metrics = require('../utils/metrics');
+const config = require('../config');
 const logger = require('../utils/logger')('event');
 
 /**
@@ -8,22 +19,200 @@ const logger = require('../utils/logger')('event');
  */
 class EventHandler {
   constructor() {
-    this.subscriptions = new Map(); // Map of subscription ID to { filters, client }
+    this.connections = new Set(); // Connected clients, each owning its subscriptions
+    this.subscriptionIndex = new SubscriptionIndex(); // Live subscriptions of all clients
+    this.bans = new BanPolicy();
+    this.readPolicies = [
+      this.bans,
+      reportHandler.moderation,
+      new ProtectedKindsPolicy(config.readPolicy.protectedKinds)
+    ];
+    this.rateLimits = new RateLimitPolicy(config.rateLimits);
+    // Each stream of stored events holds a database connection until it ends
+    this.streams = new ConcurrencyLimiter({
+      perKey: config.stream.maxPerConnection,
+      total: config.stream.maxConcurrent
+    });
+    this.proofOfWork = new ProofOfWorkPolicy(config.pow);
+    this.writePolicy = new WritePolicy(config.writePolicy.plugins, config);
+    this.rejections = []; // Recently rejected events, newest last
+  }
+
+  /**
+   * Register a read policy deciding which events a client may receive
+   * 
+   * A policy implements canRead(event, connection) returning a boolean, used for
+   * live events, and readRestrictions(connection) describing the same rules for
+   * the database queries of stored events and counts (see EventRepository.countEvents).
+   * It may implement checkSubscription(filters, connection) returning a CLOSED reason or null.
+   * @param {Object} policy - The read policy
+   */
+  addReadPolicy(policy) {
+    this.readPolicies.push(policy);
+  }
+
+  /**
+   * Check whether a client may receive an event under all read policies
+   * @param {Object} event - The Nostr event
+   * @param {Connection} connection - The client connection
+   * @returns {boolean}
+   */
+  canRead(event, connection) {
+    return this.readPolicies.every(policy => policy.canRead(event, connection));
+  }
+
+  /**
+   * Check a subscription against the read policies before registering it
+   * @param {Array} filters - Array of filters
+   * @param {Connection} connection - The client connection
+   * @returns {string|null} - CLOSED reason of the first policy refusing it, or null
+   */
+  checkSubscription(filters, connection) {
+    for (const policy of this.readPolicies) {
+      const reason = policy.checkSubscription ? policy.checkSubscription(filters, connection) : null;
+      if (reason) {
+        return reason;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Combine the read policies' restrictions on stored events and counts
+   * 
+   * They are applied in SQL, so that events a client may not read neither
+   * take up a filter's limit nor are counted.
+   * @param {Connection} connection - The client connection
+   * @returns {Object} - Restrictions for EventRepository.streamEvents and countEvents
+   */
+  getReadRestrictions(connection) {
+    const restrictions = { excludedPubkeys: [], excludedEventIds: [], protectedKinds: [], reader: null };
+
+    for (const policy of this.readPolicies) {
+      const { excludedPubkeys = [], excludedEventIds = [], protectedKinds = [], reader = null } =
+        policy.readRestrictions(connection);
+      restrictions.excludedPubkeys.push(...excludedPubkeys);
+      restrictions.excludedEventIds.push(...excludedEventIds);
+      restrictions.protectedKinds.push(...protectedKinds);
+      restrictions.reader = restrictions.reader || reader;
+    }
+
+    return restrictions;
   }
 
   /**
    * Process an incoming event
    * @param {Object} event - The Nostr event
-   * @param {WebSocket} client - The client that sent the event
+   * @param {Connection} connection - The client connection that sent the event
    * @returns {Object} - Result object { success, message, event_id }
    */
-  async handleEvent(event, client) {
+  async handleEvent(event, connection) {
     try {
-      // Validate the event
-      if (!eventValidator.validateEvent(event)) {
+      // The relay may require clients to authenticate before publishing (NIP-42)
+      if (authHandler.requiresAuthForWrite(connection)) {
+        return { 
+          success: false, 
+          message: 'auth-required: authentication is required to publish events', 
+          event_id: event.id 
+        };
+      }
+
+      // Validate the event structure, id and signature
+      const verification = eventValidator.verifyEvent(event);
+      if (!verification.valid) {
+        return { 
+          success: false, 
+          message: verification.reason, 
+          event_id: event.id 
+        };
+      }
+
+      // Banned pubkeys and blocked events are refused before any other check
+      const banned = this.bans.checkEvent(event);
+      if (banned) {
+        return { 
+          success: false, 
+          message: banned, 
+          event_id: event.id 
+        };
+      }
+
+      // Require a minimum proof of work (NIP-13)
+      const insufficientWork = this.proofOfWork.checkEvent(event);
+      if (insufficientWork) {
+        return { 
+          success: false, 
+          message: insufficientWork, 
+          event_id: event.id 
+        };
+      }
+
+      // Only stored events can be duplicates or deleted; deletions are never deleted (NIP-09)
+      const persistent = !eventKinds.isEphemeral(event.kind);
+
+      // Events deleted by their author cannot be published again (NIP-09)
+      if (persistent && event.kind !== 5 && await eventRepository.isDeleted(event)) {
+        return { 
+          success: false, 
+          message: 'blocked: deleted', 
+          event_id: event.id 
+        };
+      }
+
+      // Events already stored are acknowledged without being processed again
+      if (persistent && await eventRepository.hasEvent(event.id)) {
+        return { 
+          success: true, 
+          message: 'duplicate: already have this event', 
+          event_id: event.id 
+        };
+      }
+
+      // Limit how fast each author can publish, overall and per kind. New events
+      // only, so replaying an author's events does not use up their budget
+      const rateLimited = this.rateLimits.checkEvent(event);
+      if (rateLimited) {
+        this.rateLimits.recordViolation(connection);
+        return { 
+          success: false, 
+          message: rateLimited, 
+          event_id: event.id 
+        };
+      }
+
+      // Auth events are only accepted through AUTH messages and never relayed (NIP-42)
+      if (authHandler.isAuthEvent(event)) {
+        return { 
+          success: false, 
+          message: 'invalid: auth events must be sent with an AUTH message', 
+          event_id: event.id 
+        };
+      }
+
+      // Reject events that have already expired (NIP-40)
+      if (eventValidator.isExpired(event)) {
+        return { 
+          success: false, 
+          message: 'invalid: event has expired', 
+          event_id: event.id 
+        };
+      }
+
+      // Relay-specific acceptance rules, run in order by the write policy plugins
+      const decision = await this.writePolicy.check(event, connection);
+      if (decision.action === 'reject') {
         return { 
           success: false, 
-          message: 'Invalid event', 
+          message: decision.reason, 
+          event_id: event.id 
+        };
+      }
+
+      // Shadow-rejected events look accepted to the client but are dropped
+      if (decision.action === 'shadow-reject') {
+        return { 
+          success: true, 
+          message: '', 
           event_id: event.id 
         };
       }
@@ -33,9 +222,54 @@ class EventHandler {
         return await this.handleDeletion(event);
       }
 
+      // Ephemeral events are only relayed to current subscribers (NIP-16)
+      if (eventKinds.isEphemeral(event.kind)) {
+        this.broadcastEvent(event);
+
+        return { 
+          success: true, 
+          message: 'Event broadcast', 
+          event_id: event.id 
+        };
+      }
+
+      // Replaceable events supersede older versions from the same author (NIP-16),
+      // parameterized ones only those with the same d tag (NIP-33)
+      if (eventKinds.isReplaceable(event.kind) || eventKinds.isParameterizedReplaceable(event.kind)) {
+        const stored = await eventRepository.saveReplaceableEvent(event);
+
+        if (stored) {
+          this.broadcastEvent(event);
+        }
+
+        return { 
+          success: true, 
+          message: stored ? 'Event saved' : 'Newer version already stored', 
+          event_id: event.id 
+        };
+      }
+
+      // Reports must name the events or pubkeys they report (NIP-56)
+      if (reportHandler.isReport(event) && reportHandler.getTargets(event).length === 0) {
+        return { 
+          success: false, 
+          message: 'invalid: report must reference a reported event or pubkey', 
+          event_id: event.id 
+        };
+      }
+
       // Save the event to the database
       const eventId = await eventRepository.saveEvent(event);
 
+      // The report is stored even if it cannot be added to the moderation queue
+      if (reportHandler.isReport(event)) {
+        try {
+          await reportHandler.handleReport(event);
+        } catch (error) {
+          logger.child({ event_id: event.id }).error('Error queueing report:', error);
+        }
+      }
+
       // Broadcast the event to subscribers
       this.broadcastEvent(event);
 
@@ -45,7 +279,7 @@ class EventHandler {
         event_id: eventId 
       };
     } catch (error) {
-      logger.error('Error handling event:', error);
+      logger.child({ ...connection.logFields(), event_id: event.id }).error('Error handling event:', error);
       return { 
         success: false, 
         message: 'Error processing event', 
@@ -61,38 +295,34 @@ class EventHandler {
    */
   async handleDeletion(event) {
     try {
-      // Extract event IDs to delete from e tags
-      const eventIds = event.tags
-        .filter(tag => tag[0] === 'e')
-        .map(tag => tag[1]);
-
-      if (eventIds.length === 0) {
-        return { 
-          success: false, 
-          message: 'No event IDs specified for deletion', 
-          event_id: event.id 
-        };
-      }
-
       // Validate the deletion
-      if (!eventValidator.validateDeletion(event, eventIds)) {
+      if (!eventValidator.validateDeletion(event)) {
         return { 
           success: false, 
-          message: 'Invalid deletion event', 
+          message: 'invalid: deletion must reference events with e or a tags', 
           event_id: event.id 
         };
       }
 
-      // Mark events as deleted
-      const results = await Promise.all(
-        eventIds.map(id => eventRepository.markEventAsDeleted(id, event.pubkey))
-      );
+      // Extract event IDs to delete from e tags
+      const eventIds = event.tags
+        .filter(tag => tag[0] === 'e' && typeof tag[1] === 'string')
+        .map(tag => tag[1]);
+
+      // Extract replaceable event coordinates from a tags; authors can only delete their own
+      const coordinates = event.tags
+        .filter(tag => tag[0] === 'a')
+        .map(tag => eventKinds.parseCoordinate(tag[1]))
+        .filter(coordinate => coordinate && coordinate.pubkey === event.pubkey)
+        .map(({ kind, pubkey, dTag }) => `${kind}:${pubkey}:${dTag}`);
 
-      // Save the deletion event itself
-      await eventRepository.saveEvent(event);
+      // Record tombstones, mark events as deleted and save the deletion event itself
+      const { stored, deletedCount } = await eventRepository.saveDeletion(event, eventIds, coordinates);
 
-      // Check if any events were actually deleted
-      const deletedCount = results.filter(Boolean).length;
+      // Let live subscribers know about the deletion
+      if (stored) {
+        this.broadcastEvent(event);
+      }
 
       return { 
         success: true, 
@@ -100,7 +330,7 @@ class EventHandler {
         event_id: event.id 
       };
     } catch (error) {
-      logger.error('Error handling deletion:', error);
+      logger.child({ event_id: event.id }).error('Error handling deletion:', error);
       return { 
         success: false, 
         message: 'Error processing deletion', 
@@ -110,32 +340,127 @@ class EventHandler {
   }
 
   /**
-   * Register a new subscription
+   * Keep a rejected event in the log of recent rejections
+   * @param {Object} event - The rejected event, possibly malformed
+   * @param {string} reason - The OK reason sent to the client
+   * @param {Connection} connection - The client connection that sent the event
+   */
+  recordRejection(event, reason, connection) {
+    const { rejectionLogSize } = config.admin;
+    if (rejectionLogSize <= 0) {
+      return;
+    }
+
+    this.rejections.push({
+      rejected_at: Math.floor(Date.now() / 1000),
+      event_id: event.id,
+      pubkey: event.pubkey,
+      kind: event.kind,
+      reason,
+      connection_id: connection.id,
+      ip: connection.ip
+    });
+
+    if (this.rejections.length > rejectionLogSize) {
+      this.rejections.splice(0, this.rejections.length - rejectionLogSize);
+    }
+  }
+
+  /**
+   * Disconnect every client authenticated as a pubkey, e.g. after it was banned
+   * @param {string} pubkey - The pubkey
+   * @param {string} reason - NOTICE sent before closing
+   * @returns {number} - Number of clients disconnected
+   */
+  disconnectPubkey(pubkey, reason) {
+    let disconnected = 0;
+
+    for (const connection of this.connections) {
+      if (connection.pubkey === pubkey) {
+        connection.sendNotice(reason);
+        connection.close(1008, 'banned');
+        disconnected++;
+      }
+    }
+
+    return disconnected;
+  }
+
+  /**
+   * Track a new client connection
+   * @param {Connection} connection - The client connection
+   */
+  addConnection(connection) {
+    this.connections.add(connection);
+    metrics.connectionsTotal.inc();
+  }
+
+  /**
+   * Stop tracking a client connection and drop its subscriptions
+   * @param {Connection} connection - The client connection
+   */
+  removeConnection(connection) {
+    for (const subscription of connection.subscriptions.values()) {
+      this.subscriptionIndex.remove(subscription);
+    }
+    connection.clearSubscriptions();
+    this.streams.cancel(connection);
+    this.rateLimits.forgetConnection(connection);
+    this.connections.delete(connection);
+  }
+
+  /**
+   * Register a new subscription, replacing the client's subscription with the same ID
+   * @param {Connection} connection - The client connection
    * @param {string} subscriptionId - The subscription ID
    * @param {Array} filters - Array of filters
-   * @param {WebSocket} client - The client's WebSocket connection
+   * @returns {Object} - The subscription object
    */
-  addSubscription(subscriptionId, filters, client) {
-    this.subscriptions.set(subscriptionId, { filters, client });
+  addSubscription(connection, subscriptionId, filters) {
+    const previous = connection.subscriptions.get(subscriptionId);
+    if (previous) {
+      this.subscriptionIndex.remove(previous);
+    }
+
+    const subscription = connection.addSubscription(subscriptionId, filters);
+    this.subscriptionIndex.add(connection, subscription);
+    return subscription;
   }
 
   /**
-   * Remove a subscription
+   * Remove one of a client's subscriptions
+   * @param {Connection} connection - The client connection
    * @param {string} subscriptionId - The subscription ID to remove
+   * @returns {boolean} - Whether a subscription was removed
    */
-  removeSubscription(subscriptionId) {
-    this.subscriptions.delete(subscriptionId);
+  removeSubscription(connection, subscriptionId) {
+    const subscription = connection.subscriptions.get(subscriptionId);
+    if (subscription) {
+      this.subscriptionIndex.remove(subscription);
+    }
+    return connection.removeSubscription(subscriptionId);
   }
 
   /**
-   * Remove all subscriptions for a client
-   * @param {WebSocket} client - The client's WebSocket connection
+   * Terminate a subscription from the relay side and tell the client (NIP-01 CLOSED)
+   * @param {Connection} connection - The client connection
+   * @param {string} subscriptionId - The subscription ID
+   * @param {string} message - Machine-readable prefixed reason
    */
-  removeClientSubscriptions(client) {
-    for (const [id, subscription] of this.subscriptions.entries()) {
-      if (subscription.client === client) {
-        this.subscriptions.delete(id);
-      }
+  closeSubscription(connection, subscriptionId, message) {
+    this.removeSubscription(connection, subscriptionId);
+    connection.sendClosed(subscriptionId, message);
+  }
+
+  /**
+   * Terminate all of a client's subscriptions, including REQs still waiting to stream
+   * @param {Connection} connection - The client connection
+   * @param {string} message - Machine-readable prefixed reason
+   */
+  closeAllSubscriptions(connection, message) {
+    this.streams.cancel(connection);
+    for (const subscriptionId of [...connection.subscriptions.keys()]) {
+      this.closeSubscription(connection, subscriptionId, message);
     }
   }
 
@@ -144,60 +469,176 @@ class EventHandler {
    * @param {Object} event - The event to broadcast
    */
   broadcastEvent(event) {
-    for (const [subscriptionId, { filters, client }] of this.subscriptions.entries()) {
-      if (client.readyState === client.OPEN && filterMatcher.matchFilters(event, filters)) {
-        try {
-          client.send(JSON.stringify(['EVENT', subscriptionId, event]));
-        } catch (error) {
-          logger.error(`Error broadcasting event to subscription ${subscriptionId}:`, error);
-        }
+    // Expired events are never delivered (NIP-40)
+    if (eventValidator.isExpired(event)) {
+      return;
+    }
+
+    // Only subscriptions indexed under the event's id, author, tags or kind are tested
+    let delivered = 0;
+    for (const { connection, subscription } of this.subscriptionIndex.match(event)) {
+      if (!connection.isOpen() || !this.canRead(event, connection)) {
+        continue;
+      }
+
+      try {
+        connection.sendEvent(subscription.id, event);
+        delivered++;
+      } catch (error) {
+        logger.child({ ...connection.logFields(), subscription_id: subscription.id, event_id: event.id })
+          .error('Error broadcasting event:', error);
       }
     }
+
+    metrics.broadcastFanout.observe(delivered);
   }
 
   /**
    * Process a subscription request
    * @param {string} subscriptionId - The subscription ID
    * @param {Array} filters - Array of filters
-   * @param {WebSocket} client - The client's WebSocket connection
+   * @param {Connection} connection - The client connection
    */
-  async handleSubscription(subscriptionId, filters, client) {
+  async handleSubscription(subscriptionId, filters, connection) {
     try {
-      // Register the subscription
-      this.addSubscription(subscriptionId, filters, client);
+      // The relay may require clients to authenticate before subscribing (NIP-42)
+      if (authHandler.requiresAuthForRead(connection)) {
+        this.closeSubscription(connection, subscriptionId, 'auth-required: authentication is required to subscribe');
+        return { success: false, message: 'Authentication required' };
+      }
+
+      // Read policies may refuse the subscription outright
+      const refusal = this.checkSubscription(filters, connection);
+      if (refusal) {
+        this.closeSubscription(connection, subscriptionId, refusal);
+        return { success: false, message: refusal };
+      }
+
+      // Replacing an existing subscription does not count against the limit
+      const { maxSubscriptions } = config.limits;
+      if (!connection.subscriptions.has(subscriptionId) && connection.subscriptions.size >= maxSubscriptions) {
+        const reason = `error: too many open subscriptions (max ${maxSubscriptions})`;
+        this.closeSubscription(connection, subscriptionId, reason);
+        return { success: false, message: reason };
+      }
+
+      // Register the subscription, replacing this client's subscription with the same ID
+      const subscription = this.addSubscription(connection, subscriptionId, filters);
+
+      const endTimer = metrics.reqDuration.startTimer();
+      const subscriptionLogger = logger.child({ ...connection.logFields(), subscription_id: subscriptionId });
+
+      // Wait for a streaming slot, so that no client can take every database connection
+      const release = await this.streams.acquire(connection);
+      if (!release) {
+        return { success: true };
+      }
 
       try {
+        // The client may have closed or replaced the subscription while it waited
+        if (!connection.isActive(subscription) || !connection.isOpen()) {
+          return { success: true };
+        }
+
         // Log the filters for debugging
-        logger.log(`Processing subscription ${subscriptionId} with filters:`, JSON.stringify(filters));
+        subscriptionLogger.log('Processing subscription with filters:', JSON.stringify(filters));
         
-        // Send matching events from the database
-        const events = await eventRepository.findEvents(filters);
+        // Stream matching events from the database, pausing while the client's
+        // socket buffer is full and stopping if the subscription is closed or replaced.
+        // Read policies are applied by the query, before each filter's limit
+        const { batchSize, maxBufferedBytes, drainTimeout } = config.stream;
+        const restrictions = this.getReadRestrictions(connection);
+        let sent = 0;
         
-        logger.log(`Found ${events.length} events for subscription ${subscriptionId}`);
-        
-        for (const event of events) {
-          if (client.readyState === client.OPEN) {
-            client.send(JSON.stringify(['EVENT', subscriptionId, event]));
+        for await (const event of eventRepository.streamEvents(filters, { batchSize, restrictions })) {
+          if (!connection.isActive(subscription) || !connection.isOpen()) {
+            break;
+          }
+          
+          connection.sendEvent(subscriptionId, event);
+          sent++;
+          
+          // Clients that stop reading release the cursor instead of holding it indefinitely
+          if (connection.bufferedAmount() > maxBufferedBytes &&
+              !await connection.waitForDrain(maxBufferedBytes, drainTimeout * 1000, subscription)) {
+            subscriptionLogger.log(`Client too slow, closing subscription after ${sent} stored events`);
+            this.closeSubscription(connection, subscriptionId, 'error: client too slow');
+            break;
           }
         }
+        
+        subscriptionLogger.log(`Sent ${sent} stored events`);
+        
+        // The client may have closed or replaced the subscription while we were streaming
+        if (!connection.isActive(subscription)) {
+          return { success: true };
+        }
 
         // Send EOSE (End of Stored Events) message
-        if (client.readyState === client.OPEN) {
-          client.send(JSON.stringify(['EOSE', subscriptionId]));
-        }
+        connection.sendEose(subscriptionId);
+        endTimer();
+        metrics.reqResults.observe(sent);
         
         return { success: true };
       } catch (error) {
-        logger.error(`Error handling subscription ${subscriptionId}:`, error);
-        // Remove the subscription if there was an error
-        this.removeSubscription(subscriptionId);
+        subscriptionLogger.error('Error handling subscription:', error);
+        // Terminate the subscription if there was an error
+        if (connection.isActive(subscription)) {
+          this.closeSubscription(connection, subscriptionId, 'error: could not process subscription');
+        }
         return { success: false, message: 'Error processing subscription' };
+      } finally {
+        release();
       }
     } catch (error) {
-      logger.error(`Error setting up subscription ${subscriptionId}:`, error);
+      logger.child({ ...connection.logFields(), subscription_id: subscriptionId }).error('Error setting up subscription:', error);
       return { success: false, message: 'Error setting up subscription' };
     }
   }
+
+  /**
+   * Process a COUNT request (NIP-45)
+   * @param {string} subscriptionId - The subscription ID of the request
+   * @param {Array} filters - Array of filters
+   * @param {Connection} connection - The client connection
+   */
+  async handleCount(subscriptionId, filters, connection) {
+    try {
+      // Counts are subject to the same authentication and read policies as subscriptions
+      if (authHandler.requiresAuthForRead(connection)) {
+        connection.sendClosed(subscriptionId, 'auth-required: authentication is required to count events');
+        return { success: false, message: 'Authentication required' };
+      }
+
+      const refusal = this.checkSubscription(filters, connection);
+      if (refusal) {
+        connection.sendClosed(subscriptionId, refusal);
+        return { success: false, message: refusal };
+      }
+
+      // Counts are computed in SQL, so the read policies are applied there
+      const count = await eventRepository.countEvents(filters, this.getReadRestrictions(connection));
+      connection.sendCount(subscriptionId, count);
+
+      return { success: true };
+    } catch (error) {
+      logger.child({ ...connection.logFields(), subscription_id: subscriptionId }).error('Error handling count:', error);
+      connection.sendClosed(subscriptionId, 'error: could not count events');
+      return { success: false, message: 'Error processing count' };
+    }
+  }
+
+  /**
+   * NIPs implemented by the event and subscription handling, for NIP-11
+   * @returns {Array<number>}
+   */
+  supportedNips() {
+    const nips = [1, 2, 9, 16, 20, 33, 40];
+    if (config.features.count) {
+      nips.push(45);
+    }
+    return nips;
+  }
 }
 
 module.exports = new EventHandler();
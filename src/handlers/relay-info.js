@@ -0,0 +1,83 @@
+const eventHandler = require('./event');
+const authHandler = require('./auth');
+const reportHandler = require('./report');
+const searchQuery = require('../utils/search');
+const config = require('../config');
+const { version } = require('../../package.json');
+
+/**
+ * Handler for the NIP-11 relay information document
+ *
+ * Descriptive fields come from config.relayInfo. supported_nips is collected
+ * from the feature modules, each implementing supportedNips(), and the
+ * limitation object from the limits the relay enforces.
+ */
+class RelayInfoHandler {
+  constructor() {
+    this.features = [eventHandler, eventHandler.proofOfWork, authHandler, reportHandler, searchQuery];
+  }
+
+  /**
+   * Register a feature module contributing to supported_nips
+   * @param {Object} feature - A module implementing supportedNips() returning an array of NIP numbers
+   */
+  addFeature(feature) {
+    this.features.push(feature);
+  }
+
+  /**
+   * Collect the NIPs of all enabled features
+   * @returns {Array<number>} - Sorted NIP numbers
+   */
+  getSupportedNips() {
+    const nips = new Set([11]);
+    for (const feature of this.features) {
+      for (const nip of feature.supportedNips()) {
+        nips.add(nip);
+      }
+    }
+    return [...nips].sort((a, b) => a - b);
+  }
+
+  /**
+   * Describe the limits enforced by the relay
+   * @returns {Object} - The NIP-11 limitation object
+   */
+  getLimitation() {
+    return {
+      max_message_length: config.limits.maxMessageLength,
+      max_subscriptions: config.limits.maxSubscriptions,
+      max_filters: config.filters.maxFilters,
+      max_limit: config.query.maxLimit,
+      default_limit: config.query.defaultLimit,
+      max_subid_length: config.limits.maxSubidLength,
+      min_pow_difficulty: config.pow.minDifficulty,
+      auth_required: config.auth.requiredForReads && config.auth.requiredForWrites,
+      restricted_writes: config.auth.requiredForWrites,
+      rate_limits: eventHandler.rateLimits.describe()
+    };
+  }
+
+  /**
+   * Build the relay information document
+   * @returns {Object} - The NIP-11 document, without unset fields
+   */
+  getDocument() {
+    const document = {
+      ...config.relayInfo,
+      supported_nips: this.getSupportedNips(),
+      version,
+      limitation: this.getLimitation()
+    };
+
+    for (const [key, value] of Object.entries(document)) {
+      if (value === undefined || value === '') {
+        delete document[key];
+      }
+    }
+
+    return document;
+  }
+}
+
+module.exports = new RelayInfoHandler();
@@ -0,0 +1,114 @@
+const reportRepository = require('../db/report-repository');
+const ModerationPolicy = require('../policies/moderation');
+const config = require('../config');
+const logger = require('../utils/logger')('report');
+
+// Kind of report events (NIP-56)
+const REPORT_KIND = 1984;
+
+// Queue statuses a moderator can set
+const REVIEW_STATUSES = ['pending', 'hidden', 'dismissed', 'banned'];
+
+/**
+ * Handler for NIP-56 reports
+ *
+ * Reports are stored like other events and aggregated per reported event or
+ * pubkey in the moderation queue. Once enough trusted reporters have reported
+ * a target it can be hidden automatically, pending review by a moderator.
+ */
+class ReportHandler {
+  constructor() {
+    this.moderation = new ModerationPolicy();
+  }
+
+  /**
+   * Check whether an event is a report
+   * @param {Object} event - The Nostr event
+   * @returns {boolean}
+   */
+  isReport(event) {
+    return event.kind === REPORT_KIND;
+  }
+
+  /**
+   * Get the targets of a report
+   * 
+   * A report on notes (e tags) targets those events, otherwise it targets
+   * the reported pubkeys (p tags). The report type is the tag's third value.
+   * @param {Object} event - The kind 1984 report event
+   * @returns {Array<Object>} - Targets { type, target, reportType }, empty if the report is malformed
+   */
+  getTargets(event) {
+    const isHex = value => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+    const toTarget = type => tag => ({
+      type,
+      target: tag[1],
+      reportType: typeof tag[2] === 'string' ? tag[2] : ''
+    });
+
+    const events = event.tags.filter(tag => tag[0] === 'e' && isHex(tag[1])).map(toTarget('event'));
+    if (events.length > 0) {
+      return events;
+    }
+
+    return event.tags.filter(tag => tag[0] === 'p' && isHex(tag[1])).map(toTarget('pubkey'));
+  }
+
+  /**
+   * Add a stored report to the moderation queue, hiding targets that cross the threshold
+   * @param {Object} event - The kind 1984 report event
+   * @returns {Promise<void>}
+   */
+  async handleReport(event) {
+    const { trustedReporters, autoHideThreshold } = config.reports;
+    const trusted = trustedReporters.includes(event.pubkey);
+    const entries = await reportRepository.saveReport(event, this.getTargets(event), trusted);
+
+    if (autoHideThreshold <= 0) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.status === 'pending' && entry.trusted_report_count >= autoHideThreshold) {
+        await reportRepository.setStatus(entry.target_type, entry.target, 'hidden', false);
+        this.moderation.hide(entry.target_type, entry.target);
+        logger.log(`Hid ${entry.target_type} ${entry.target} after ${entry.trusted_report_count} trusted reports`);
+      }
+    }
+  }
+
+  /**
+   * Set the status of a queue entry after review, hiding the target only while it is 'hidden'
+   * @param {string} type - 'event' or 'pubkey'
+   * @param {string} target - The event id or pubkey
+   * @param {string} status - 'pending', 'hidden', 'dismissed' or 'banned'
+   * @returns {Promise<boolean>} - Whether the entry exists
+   */
+  async review(type, target, status) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error(`Unknown moderation status ${status}`);
+    }
+
+    const exists = await reportRepository.setStatus(type, target, status, true);
+    if (!exists) {
+      return false;
+    }
+
+    if (status === 'hidden') {
+      this.moderation.hide(type, target);
+    } else {
+      this.moderation.unhide(type, target);
+    }
+    return true;
+  }
+
+  /**
+   * NIPs implemented by this handler, for NIP-11
+   * @returns {Array<number>}
+   */
+  supportedNips() {
+    return [56];
+  }
+}
+
+module.exports = new ReportHandler();
@@ -1,5 +1,9 @@
 require('dotenv').config();
 const NostrServer = require('./server');
+const ExpirationReaper = require('./jobs/expiration-reaper');
+const eventHandler = require('./handlers/event');
+const reportHandler = require('./handlers/report');
+const config = require('./config');
 const db = require('./db/knex');
 const logger = require('./utils/logger')('main');
 
@@ -13,27 +17,38 @@ async function main() {
     await db.migrate.latest();
     logger.log('Migrations completed successfully');
 
+    // Load moderation bans and hidden content before accepting clients
+    await eventHandler.bans.load();
+    await reportHandler.moderation.load();
+
     // Start the server
-    const port = process.env.PORT || 8008;
+    const port = config.port;
     const server = new NostrServer(port);
     
     await server.start();
     logger.log(`Nostr relay is running on port ${port}`);
 
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      logger.log('Shutting down...');
-      server.stop();
-      await db.destroy();
-      process.exit(0);
-    });
+    // Periodically remove expired events (NIP-40)
+    const reaper = new ExpirationReaper(config.expirationReaper);
+    reaper.start();
+
+    // Drain clients and finish pending writes before exiting; a second signal exits at once
+    let shuttingDown = false;
+    const shutdown = async () => {
+      if (shuttingDown) {
+        process.exit(1);
+      }
+      shuttingDown = true;
 
-    process.on('SIGTERM', async () => {
       logger.log('Shutting down...');
-      server.stop();
+      reaper.stop();
+      await server.drain(config.shutdown.drainTimeout * 1000);
       await db.destroy();
       process.exit(0);
-    });
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
   } catch (error) {
     logger.error('Failed to start the relay:', error);
     process.exit(1);
@@ -0,0 +1,85 @@
+const eventRepository = require('../db/repository');
+const logger = require('../utils/logger')('reaper');
+
+/**
+ * Background job that hard-deletes expired events (NIP-40)
+ */
+class ExpirationReaper {
+  /**
+   * Initialize the reaper
+   * @param {Object} options - Reaper options
+   * @param {number} options.interval - Seconds between runs, 0 or less to disable the reaper
+   * @param {number} options.batchSize - Maximum events deleted per query
+   */
+  constructor({ interval, batchSize }) {
+    this.interval = interval;
+    // A batch size below 1 would never finish a run
+    this.batchSize = Math.max(batchSize, 1);
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start running the reaper periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Expired events are still never served, they are just kept in the database
+    if (!(this.interval > 0)) {
+      logger.log('Expiration reaper disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), this.interval * 1000);
+    // Do not keep the process alive just for the reaper
+    this.timer.unref();
+    logger.log(`Expiration reaper started (every ${this.interval}s, batches of ${this.batchSize})`);
+  }
+
+  /**
+   * Stop the reaper
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Delete expired events in batches until none are left
+   * @returns {Promise<number>} - Total number of deleted events
+   */
+  async run() {
+    // Skip this tick if the previous run is still going
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let total = 0;
+
+    try {
+      let deleted;
+      do {
+        deleted = await eventRepository.deleteExpiredEvents(this.batchSize);
+        total += deleted;
+      } while (deleted === this.batchSize);
+
+      if (total > 0) {
+        logger.log(`Reaped ${total} expired events`);
+      }
+    } catch (error) {
+      logger.error('Error reaping expired events:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return total;
+  }
+}
+
+module.exports = ExpirationReaper;
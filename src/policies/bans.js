@@ -0,0 +1,127 @@
+const banRepository = require('../db/ban-repository');
+const logger = require('../utils/logger')('policy');
+
+/**
+ * Policy enforcing moderation bans on publishing and reading
+ *
+ * Banned pubkeys and blocked event ids are kept in memory, so every event
+ * is checked without a database round trip, and persisted so they survive
+ * restarts. Events of banned pubkeys and blocked events are refused when
+ * published and never delivered to subscribers.
+ */
+class BanPolicy {
+  constructor() {
+    this.pubkeys = new Map(); // pubkey -> reason
+    this.events = new Map(); // event id -> reason
+  }
+
+  /**
+   * Load the persisted bans
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const { pubkeys, events } = await banRepository.findAll();
+    this.pubkeys = new Map(pubkeys.map(row => [row.pubkey, row.reason]));
+    this.events = new Map(events.map(row => [row.event_id, row.reason]));
+    logger.log(`Loaded ${this.pubkeys.size} banned pubkeys and ${this.events.size} blocked events`);
+  }
+
+  /**
+   * Ban a pubkey
+   * @param {string} pubkey - The pubkey
+   * @param {string} reason - Reason for the ban
+   * @returns {Promise<void>}
+   */
+  async banPubkey(pubkey, reason) {
+    await banRepository.banPubkey(pubkey, reason);
+    this.pubkeys.set(pubkey, reason);
+  }
+
+  /**
+   * Lift a pubkey ban
+   * @param {string} pubkey - The pubkey
+   * @returns {Promise<boolean>} - Whether the pubkey was banned
+   */
+  async unbanPubkey(pubkey) {
+    const existed = await banRepository.unbanPubkey(pubkey);
+    this.pubkeys.delete(pubkey);
+    return existed;
+  }
+
+  /**
+   * Block an event id
+   * @param {string} eventId - The event id
+   * @param {string} reason - Reason for the block
+   * @returns {Promise<void>}
+   */
+  async blockEvent(eventId, reason) {
+    await banRepository.blockEvent(eventId, reason);
+    this.events.set(eventId, reason);
+  }
+
+  /**
+   * Unblock an event id
+   * @param {string} eventId - The event id
+   * @returns {Promise<boolean>} - Whether the event was blocked
+   */
+  async unblockEvent(eventId) {
+    const existed = await banRepository.unblockEvent(eventId);
+    this.events.delete(eventId);
+    return existed;
+  }
+
+  /**
+   * Check whether a pubkey is banned
+   * @param {string} pubkey - The pubkey
+   * @returns {boolean}
+   */
+  isBanned(pubkey) {
+    return this.pubkeys.has(pubkey);
+  }
+
+  /**
+   * Check a published event against the bans
+   * @param {Object} event - The Nostr event
+   * @returns {string|null} - blocked reason, or null if the event is allowed
+   */
+  checkEvent(event) {
+    if (this.pubkeys.has(event.pubkey)) {
+      return this.formatReason('pubkey is banned', this.pubkeys.get(event.pubkey));
+    }
+
+    if (this.events.has(event.id)) {
+      return this.formatReason('event is blocked', this.events.get(event.id));
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a connection may receive an event
+   * @param {Object} event - The Nostr event
+   * @returns {boolean}
+   */
+  canRead(event) {
+    return !this.pubkeys.has(event.pubkey) && !this.events.has(event.id);
+  }
+
+  /**
+   * Describe what must be left out of stored events and counts, which are selected in SQL
+   * @returns {Object} - { excludedPubkeys, excludedEventIds }
+   */
+  readRestrictions() {
+    return { excludedPubkeys: [...this.pubkeys.keys()], excludedEventIds: [...this.events.keys()] };
+  }
+
+  /**
+   * Build a blocked reason, including the moderator's reason if any
+   * @param {string} message - What is blocked
+   * @param {string} reason - The moderator's reason
+   * @returns {string}
+   */
+  formatReason(message, reason) {
+    return reason ? `blocked: ${message} (${reason})` : `blocked: ${message}`;
+  }
+}
+
+module.exports = BanPolicy;
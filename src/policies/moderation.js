@@ -0,0 +1,64 @@
+const reportRepository = require('../db/report-repository');
+const logger = require('../utils/logger')('policy');
+
+/**
+ * Read policy hiding content moderated through the report queue (NIP-56)
+ *
+ * Hidden events, and all events of hidden pubkeys, are kept in the database
+ * but not delivered to subscribers. Unlike bans, hiding does not refuse
+ * new events.
+ */
+class ModerationPolicy {
+  constructor() {
+    this.hidden = { event: new Set(), pubkey: new Set() };
+  }
+
+  /**
+   * Load the hidden targets from the moderation queue
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.hidden = { event: new Set(), pubkey: new Set() };
+    for (const { target_type: type, target } of await reportRepository.findHidden()) {
+      this.hide(type, target);
+    }
+    logger.log(`Loaded ${this.hidden.event.size} hidden events and ${this.hidden.pubkey.size} hidden pubkeys`);
+  }
+
+  /**
+   * Hide an event or all events of a pubkey
+   * @param {string} type - 'event' or 'pubkey'
+   * @param {string} target - The event id or pubkey
+   */
+  hide(type, target) {
+    this.hidden[type].add(target);
+  }
+
+  /**
+   * Stop hiding an event or pubkey
+   * @param {string} type - 'event' or 'pubkey'
+   * @param {string} target - The event id or pubkey
+   */
+  unhide(type, target) {
+    this.hidden[type].delete(target);
+  }
+
+  /**
+   * Check whether a connection may receive an event
+   * @param {Object} event - The Nostr event
+   * @returns {boolean}
+   */
+  canRead(event) {
+    return !this.hidden.event.has(event.id) && !this.hidden.pubkey.has(event.pubkey);
+  }
+
+  /**
+   * Describe what must be left out of stored events and counts, which are selected in SQL
+   * @returns {Object} - { excludedPubkeys, excludedEventIds }
+   */
+  readRestrictions() {
+    return { excludedPubkeys: [...this.hidden.pubkey], excludedEventIds: [...this.hidden.event] };
+  }
+}
+
+module.exports = ModerationPolicy;
@@ -0,0 +1,57 @@
+const eventValidator = require('../utils/event-validator');
+
+/**
+ * Policy requiring a minimum proof of work on published events (NIP-13)
+ *
+ * The difficulty required of an event is the one configured for its kind,
+ * or the relay-wide minimum. A difficulty of 0 requires no work.
+ */
+class ProofOfWorkPolicy {
+  /**
+   * Initialize the policy
+   * @param {Object} pow - Proof of work configuration (see config.pow)
+   */
+  constructor({ minDifficulty, kinds }) {
+    this.minDifficulty = minDifficulty;
+    this.kinds = new Map(Object.entries(kinds).map(([kind, difficulty]) => [Number(kind), difficulty]));
+  }
+
+  /**
+   * Get the difficulty required of an event kind
+   * @param {number} kind - The event kind
+   * @returns {number}
+   */
+  getRequiredDifficulty(kind) {
+    return this.kinds.has(kind) ? this.kinds.get(kind) : this.minDifficulty;
+  }
+
+  /**
+   * Check an event's proof of work
+   * @param {Object} event - The verified Nostr event
+   * @returns {string|null} - pow reason, or null if the event has enough work
+   */
+  checkEvent(event) {
+    const required = this.getRequiredDifficulty(event.kind);
+    if (required <= 0) {
+      return null;
+    }
+
+    const difficulty = eventValidator.getPowDifficulty(event);
+    if (difficulty < required) {
+      return `pow: difficulty ${difficulty} is less than ${required}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * NIPs implemented by this policy, for NIP-11
+   * @returns {Array<number>}
+   */
+  supportedNips() {
+    const enabled = this.minDifficulty > 0 || [...this.kinds.values()].some(difficulty => difficulty > 0);
+    return enabled ? [13] : [];
+  }
+}
+
+module.exports = ProofOfWorkPolicy;
@@ -0,0 +1,71 @@
+/**
+ * Read policy restricting private event kinds to their participants
+ *
+ * Events of a protected kind (by default kind 4 direct messages and kind 1059
+ * gift wraps) are only delivered to a connection authenticated (NIP-42) as
+ * the event's author or one of its p-tagged recipients.
+ */
+class ProtectedKindsPolicy {
+  /**
+   * Initialize the policy
+   * @param {Array<number>} protectedKinds - Kinds only readable by their participants
+   */
+  constructor(protectedKinds) {
+    this.protectedKinds = new Set(protectedKinds);
+  }
+
+  /**
+   * Check whether a connection may receive an event
+   * @param {Object} event - The Nostr event
+   * @param {Connection} connection - The client connection
+   * @returns {boolean}
+   */
+  canRead(event, connection) {
+    if (!this.protectedKinds.has(event.kind)) {
+      return true;
+    }
+
+    if (!connection.isAuthenticated()) {
+      return false;
+    }
+
+    return event.pubkey === connection.pubkey ||
+      event.tags.some(tag => tag[0] === 'p' && tag[1] === connection.pubkey);
+  }
+
+  /**
+   * Describe what must be left out of stored events and counts, which are selected in SQL
+   * 
+   * Protected events are only selected for their author or p-tagged recipients.
+   * @param {Connection} connection - The client connection
+   * @returns {Object} - { protectedKinds, reader }
+   */
+  readRestrictions(connection) {
+    return { protectedKinds: [...this.protectedKinds], reader: connection.pubkey };
+  }
+
+  /**
+   * Check a subscription before it is registered
+   * 
+   * Subscriptions asking only for protected kinds can never receive anything
+   * without authentication, so the client is told to authenticate instead.
+   * @param {Array} filters - Array of filters
+   * @param {Connection} connection - The client connection
+   * @returns {string|null} - CLOSED reason, or null if the subscription may proceed
+   */
+  checkSubscription(filters, connection) {
+    if (connection.isAuthenticated() || this.protectedKinds.size === 0) {
+      return null;
+    }
+
+    const onlyProtected = filters.every(filter =>
+      Array.isArray(filter.kinds) &&
+      filter.kinds.length > 0 &&
+      filter.kinds.every(kind => this.protectedKinds.has(kind))
+    );
+
+    return onlyProtected ? 'auth-required: authentication is required to read these events' : null;
+  }
+}
+
+module.exports = ProtectedKindsPolicy;
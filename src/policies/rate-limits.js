@@ -0,0 +1,152 @@
+const RateLimiter = require('../utils/rate-limiter');
+const logger = require('../utils/logger')('ratelimit');
+
+// How often idle buckets are dropped, in milliseconds
+const PRUNE_INTERVAL = 60 * 1000;
+
+/**
+ * Rate limits on client messages and published events
+ *
+ * Messages are limited per type for each connection and each client IP.
+ * Events are additionally limited per author and per author and kind, once
+ * their signature has been verified. Clients that keep hitting limits are
+ * disconnected: violations are counted in a token bucket per connection, so
+ * that they expire over the violation window.
+ */
+class RateLimitPolicy {
+  /**
+   * Initialize the policy
+   * @param {Object} limits - Rate limit configuration (see config.rateLimits)
+   */
+  constructor(limits) {
+    this.limits = limits;
+    this.limiters = {
+      connection: this.createLimiters(limits.connection),
+      ip: this.createLimiters(limits.ip),
+      pubkey: this.createLimiters(limits.pubkey),
+      kinds: this.createLimiters(limits.kinds)
+    };
+    this.violations = new RateLimiter({ count: limits.maxViolations, seconds: limits.violationWindow });
+
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Create a limiter for each configured key
+   * @param {Object} limits - Map of key to { count, seconds }
+   * @returns {Map} - Map of key to RateLimiter
+   */
+  createLimiters(limits) {
+    return new Map(Object.entries(limits).map(([key, limit]) => [key, new RateLimiter(limit)]));
+  }
+
+  /**
+   * Check a client message against the connection and IP limits for its type
+   * 
+   * A token is only taken from each bucket if every bucket allows the message.
+   * @param {Connection} connection - The client connection
+   * @param {string} type - The message type (EVENT, REQ, COUNT...)
+   * @returns {string|null} - rate-limited reason, or null if the message is allowed
+   */
+  checkMessage(connection, type) {
+    return this.consumeAll([
+      [this.limiters.connection.get(type), connection, `rate-limited: too many ${type} messages on this connection`],
+      [this.limiters.ip.get(type), connection.ip, `rate-limited: too many ${type} messages from your IP`]
+    ]);
+  }
+
+  /**
+   * Check a verified event against the per-author and per-kind limits
+   * 
+   * Called once the event is known to be new, so that replaying an author's
+   * stored events cannot use up their budget.
+   * @param {Object} event - The Nostr event
+   * @returns {string|null} - rate-limited reason, or null if the event is allowed
+   */
+  checkEvent(event) {
+    return this.consumeAll([
+      [this.limiters.pubkey.get('EVENT'), event.pubkey, 'rate-limited: too many events from this pubkey'],
+      [this.limiters.kinds.get(String(event.kind)), event.pubkey, `rate-limited: too many kind ${event.kind} events from this pubkey`]
+    ]);
+  }
+
+  /**
+   * Take a token from each limiter for its key, or from none of them
+   * @param {Array} checks - [limiter, key, reason] triples; unconfigured limiters are skipped
+   * @returns {string|null} - Reason of the first limiter without tokens, or null if all tokens were taken
+   */
+  consumeAll(checks) {
+    const configured = checks.filter(([limiter]) => limiter);
+    const now = Date.now();
+
+    for (const [limiter, key, reason] of configured) {
+      if (!limiter.check(key, now)) {
+        return reason;
+      }
+    }
+
+    for (const [limiter, key] of configured) {
+      limiter.consume(key, now);
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a rate-limited message and disconnect clients that keep exceeding limits
+   * 
+   * The client is disconnected once it reaches maxViolations within the
+   * violation window.
+   * @param {Connection} connection - The client connection
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} - Whether the client was disconnected
+   */
+  recordViolation(connection, now = Date.now()) {
+    this.violations.consume(connection, now);
+
+    if (this.violations.check(connection, now)) {
+      return false;
+    }
+
+    const { maxViolations, violationWindow } = this.limits;
+    logger.log(`Disconnecting ${connection.ip} after ${maxViolations} rate limit violations in ${violationWindow} seconds`);
+    connection.sendNotice('rate-limited: too many requests, disconnecting');
+    connection.close(1008, 'rate limit exceeded');
+    return true;
+  }
+
+  /**
+   * Drop the state of a closed connection
+   * @param {Connection} connection - The client connection
+   */
+  forgetConnection(connection) {
+    for (const limiter of this.limiters.connection.values()) {
+      limiter.forget(connection);
+    }
+    this.violations.forget(connection);
+  }
+
+  /**
+   * Drop buckets that have refilled completely
+   */
+  prune() {
+    for (const limiters of Object.values(this.limiters)) {
+      for (const limiter of limiters.values()) {
+        limiter.prune();
+      }
+    }
+    this.violations.prune();
+  }
+
+  /**
+   * Describe the configured limits, for the NIP-11 limitation object
+   * @returns {Object}
+   */
+  describe() {
+    const { connection, ip, pubkey, kinds } = this.limits;
+    return { connection, ip, pubkey, kinds };
+  }
+}
+
+module.exports = RateLimitPolicy;
@@ -0,0 +1,99 @@
+const path = require('path');
+const logger = require('../utils/logger')('policy');
+
+// Plugins shipped with the relay, referenced by name in config.writePolicy.plugins
+const BUILTIN_PLUGINS = {
+  'pubkey-list': require('./write/pubkey-list'),
+  'allowed-kinds': require('./write/allowed-kinds'),
+  'created-at-bounds': require('./write/created-at-bounds')
+};
+
+// Machine-readable prefix of an OK message (NIP-20), e.g. "blocked: "
+const REASON_PREFIX = /^[a-z-]+: /;
+
+/**
+ * Ordered pipeline of write policy plugins deciding whether an event is accepted
+ *
+ * A plugin is a class constructed with the relay configuration whose instances
+ * implement check(event, connection), optionally async, returning:
+ * - null or undefined to leave the decision to the next plugins
+ * - { action: 'accept' } to accept the event without running the next plugins
+ * - { action: 'reject', reason } to refuse it with an OK false reason such as "blocked: ..."
+ * - { action: 'shadow-reject' } to answer OK true but neither store nor relay it
+ * An event no plugin decides on is accepted.
+ */
+class WritePolicy {
+  /**
+   * Initialize the pipeline
+   * @param {Array<string>} names - Built-in plugin names or module paths, in order
+   * @param {Object} config - Relay configuration passed to each plugin
+   */
+  constructor(names, config) {
+    this.plugins = names.map(name => {
+      const Plugin = BUILTIN_PLUGINS[name] || require(path.resolve(name));
+      return new Plugin(config);
+    });
+  }
+
+  /**
+   * Append a plugin instance to the pipeline
+   * @param {Object} plugin - An object implementing check(event, connection)
+   */
+  addPlugin(plugin) {
+    this.plugins.push(plugin);
+  }
+
+  /**
+   * Run an event through the plugins in order
+   * @param {Object} event - The verified Nostr event
+   * @param {Connection} connection - The client connection that sent the event
+   * @returns {Promise<Object>} - The decision { action, reason }
+   */
+  async check(event, connection) {
+    for (const plugin of this.plugins) {
+      let decision;
+      try {
+        decision = await plugin.check(event, connection);
+      } catch (error) {
+        logger.error(`Write policy ${plugin.constructor.name} failed:`, error);
+        return { action: 'reject', reason: 'error: could not check event' };
+      }
+
+      if (!decision) {
+        continue;
+      }
+
+      switch (decision.action) {
+        case 'accept':
+          return { action: 'accept', reason: '' };
+
+        case 'reject':
+          return { action: 'reject', reason: this.formatReason(decision.reason) };
+
+        case 'shadow-reject':
+          logger.log(`Event ${event.id} shadow-rejected by ${plugin.constructor.name}`);
+          return { action: 'shadow-reject', reason: '' };
+
+        default:
+          logger.error(`Write policy ${plugin.constructor.name} returned unknown action ${decision.action}`);
+          return { action: 'reject', reason: 'error: could not check event' };
+      }
+    }
+
+    return { action: 'accept', reason: '' };
+  }
+
+  /**
+   * Make sure a rejection reason carries a NIP-20 prefix
+   * @param {string} reason - The plugin's reason
+   * @returns {string}
+   */
+  formatReason(reason) {
+    if (typeof reason === 'string' && REASON_PREFIX.test(reason)) {
+      return reason;
+    }
+    return `blocked: ${reason || 'event rejected by relay policy'}`;
+  }
+}
+
+module.exports = WritePolicy;
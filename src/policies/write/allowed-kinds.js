@@ -0,0 +1,29 @@
+/**
+ * Write policy plugin restricting the kinds of events the relay accepts
+ *
+ * An empty list accepts every kind.
+ */
+class AllowedKindsPolicy {
+  /**
+   * Initialize the plugin
+   * @param {Object} config - Relay configuration (uses config.writePolicy)
+   */
+  constructor(config) {
+    this.allowedKinds = new Set(config.writePolicy.allowedKinds);
+  }
+
+  /**
+   * Check an event's kind
+   * @param {Object} event - The Nostr event
+   * @returns {Object|null} - A rejection, or null to continue
+   */
+  check(event) {
+    if (this.allowedKinds.size > 0 && !this.allowedKinds.has(event.kind)) {
+      return { action: 'reject', reason: `blocked: kind ${event.kind} is not accepted by this relay` };
+    }
+
+    return null;
+  }
+}
+
+module.exports = AllowedKindsPolicy;
@@ -0,0 +1,36 @@
+/**
+ * Write policy plugin bounding how far an event's created_at may be from now
+ *
+ * A bound of 0 disables the check in that direction.
+ */
+class CreatedAtBoundsPolicy {
+  /**
+   * Initialize the plugin
+   * @param {Object} config - Relay configuration (uses config.writePolicy)
+   */
+  constructor(config) {
+    this.maxFuture = config.writePolicy.createdAtMaxFuture;
+    this.maxPast = config.writePolicy.createdAtMaxPast;
+  }
+
+  /**
+   * Check an event's timestamp
+   * @param {Object} event - The Nostr event
+   * @returns {Object|null} - A rejection, or null to continue
+   */
+  check(event) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (this.maxFuture > 0 && event.created_at > now + this.maxFuture) {
+      return { action: 'reject', reason: `invalid: created_at is more than ${this.maxFuture} seconds in the future` };
+    }
+
+    if (this.maxPast > 0 && event.created_at < now - this.maxPast) {
+      return { action: 'reject', reason: `invalid: created_at is more than ${this.maxPast} seconds in the past` };
+    }
+
+    return null;
+  }
+}
+
+module.exports = CreatedAtBoundsPolicy;
@@ -0,0 +1,35 @@
+/**
+ * Write policy plugin accepting events by author
+ *
+ * When a whitelist is configured only its pubkeys may publish. Pubkeys on the
+ * blacklist may never publish.
+ */
+class PubkeyListPolicy {
+  /**
+   * Initialize the plugin
+   * @param {Object} config - Relay configuration (uses config.writePolicy)
+   */
+  constructor(config) {
+    this.whitelist = new Set(config.writePolicy.pubkeyWhitelist);
+    this.blacklist = new Set(config.writePolicy.pubkeyBlacklist);
+  }
+
+  /**
+   * Check an event's author
+   * @param {Object} event - The Nostr event
+   * @returns {Object|null} - A rejection, or null to continue
+   */
+  check(event) {
+    if (this.blacklist.has(event.pubkey)) {
+      return { action: 'reject', reason: 'blocked: pubkey is not allowed to publish' };
+    }
+
+    if (this.whitelist.size > 0 && !this.whitelist.has(event.pubkey)) {
+      return { action: 'reject', reason: 'blocked: pubkey is not allowed to publish' };
+    }
+
+    return null;
+  }
+}
+
+module.exports = PubkeyListPolicy;
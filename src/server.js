@@ -2,8 +2,27 @@ const WebSocket = require('ws');
 const http = require('http');
 const express = require('express');
 const cors = require('cors');
+const Connection = require('./connection');
 const eventHandler = require('./handlers/event');
+const authHandler = require('./handlers/auth');
+const relayInfoHandler = require('./handlers/relay-info');
+const adminHandler = require('./handlers/admin');
+const filterValidator = require('./utils/filter-validator');
+const metrics = require('./utils/metrics');
+const db = require('./db/knex');
+const config = require('./config');
 const logger = require('./utils/logger')('server');
+const accessLogger = require('./utils/logger')('access');
+
+// Messages drain() lets finish: writes and counts are short, while REQs may
+// stream stored events for long and have their subscriptions closed instead
+const DRAINED_MESSAGE_TYPES = ['EVENT', 'COUNT'];
+
+// How often drain() checks for pending messages and open connections, in milliseconds
+const DRAIN_POLL_INTERVAL = 50;
+
+// Maximum time the readiness check waits for the database, in milliseconds
+const READINESS_DB_TIMEOUT = 2000;
 
 /**
  * Nostr relay server implementation
@@ -15,10 +34,13 @@ class NostrServer {
    */
   constructor(port) {
     this.port = port;
+    this.nextConnectionId = 1; // Ids identifying connections in logs and the admin API
+    this.pendingMessages = 0; // EVENT and COUNT messages being processed
+    this.draining = false; // Set when the relay is shutting down
     this.app = express();
     this.setupExpress();
     this.server = http.createServer(this.app);
-    this.wss = new WebSocket.Server({ server: this.server });
+    this.wss = new WebSocket.Server({ server: this.server, maxPayload: config.limits.maxMessageLength });
     this.setupWebSocketServer();
   }
 
@@ -27,7 +49,36 @@ class NostrServer {
    */
   setupExpress() {
     this.app.use(cors());
-    this.app.use(express.json());
+    // Keep the raw body for NIP-98 payload hashes
+    this.app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+    // Liveness: the process is up and serving HTTP
+    this.app.get('/healthz', (req, res) => {
+      res.json({ status: 'ok' });
+    });
+
+    // Readiness: accepting clients and able to reach the database
+    this.app.get('/readyz', async (req, res) => {
+      const reason = await this.checkReadiness();
+      if (reason) {
+        return res.status(503).json({ status: 'unavailable', reason });
+      }
+      res.json({ status: 'ready' });
+    });
+
+    // Prometheus metrics
+    if (config.metrics.enabled) {
+      this.app.get('/metrics', async (req, res) => {
+        metrics.collectState(eventHandler.connections, db.client.pool);
+        res.set('Content-Type', metrics.registry.contentType);
+        res.send(await metrics.render());
+      });
+    }
+
+    // Admin API, only served when admin credentials are configured
+    if (adminHandler.isEnabled()) {
+      this.app.use('/admin', adminHandler.createRouter());
+    }
 
     // NIP-11: Relay Information Document
     this.app.get('/', (req, res) => {
@@ -35,19 +86,11 @@ class NostrServer {
       const acceptHeader = req.headers.accept || '';
       
       if (acceptHeader.includes('application/nostr+json')) {
-        return res.json({
-          name: 'Cline Nostr Relay',
-          description: 'A simple Nostr relay implementation',
-          pubkey: '', // The relay operator's pubkey (if any)
-          contact: '',
-          supported_nips: [1, 2, 9, 11, 20],
-          software: 'https://github.com/yourusername/cline-nostr-relay',
-          version: '0.1.0'
-        });
+        return res.json(relayInfoHandler.getDocument());
       }
       
       // Regular HTTP request
-      res.send('Cline Nostr Relay - WebSocket endpoint available at ws://localhost:' + this.port);
+      res.send(config.relayInfo.name + ' - WebSocket endpoint available at ws://localhost:' + this.port);
     });
   }
 
@@ -55,132 +98,325 @@ class NostrServer {
    * Set up WebSocket server for Nostr protocol
    */
   setupWebSocketServer() {
-    this.wss.on('connection', (ws) => {
-      logger.log('Client connected');
+    this.wss.on('connection', (ws, req) => {
+      // Connections racing with drain() are turned away
+      if (this.draining) {
+        return ws.close(1001, 'relay is shutting down');
+      }
+
+      const connection = new Connection(ws, {
+        id: this.nextConnectionId++,
+        ip: this.getClientIp(req),
+        host: req.headers.host
+      });
+      const connectionLogger = logger.child(connection.logFields());
+      connectionLogger.log('Client connected');
+      eventHandler.addConnection(connection);
+
+      // NIP-42: challenge the client so it can authenticate when needed
+      authHandler.sendChallenge(connection);
 
       ws.on('message', async (message) => {
+        const startedAt = process.hrtime.bigint();
+        let type;
+        let params = [];
+        let outcome = {};
+        let pending = false;
+
         try {
-          // Log the raw message for debugging
-          logger.log('Received message:', message.toString().substring(0, 200) + (message.length > 200 ? '...' : ''));
-          
           let data;
           try {
             data = JSON.parse(message);
           } catch (parseError) {
-            logger.error('JSON parse error:', parseError);
-            return this.sendNotice(ws, 'Invalid JSON format');
+            connectionLogger.error('JSON parse error:', parseError);
+            return connection.sendNotice('Invalid JSON format');
           }
           
           if (!Array.isArray(data)) {
-            logger.error('Invalid message format (not an array):', data);
-            return this.sendNotice(ws, 'Invalid message format: expected array');
+            connectionLogger.error('Invalid message format (not an array):', data);
+            return connection.sendNotice('Invalid message format: expected array');
+          }
+          
+          [type, ...params] = data;
+          // Log the message for debugging, with event content redacted
+          connectionLogger.log(`Processing ${type} message:`, data);
+          metrics.countMessage(type);
+          
+          if (this.draining) {
+            outcome = { ok: false, reason: 'error: relay is shutting down' };
+            return this.refuseMessage(connection, type, params, outcome.reason);
+          }
+          
+          const rateLimited = eventHandler.rateLimits.checkMessage(connection, type);
+          if (rateLimited) {
+            outcome = { ok: false, reason: rateLimited };
+            return this.rejectRateLimited(connection, type, params, rateLimited);
           }
           
-          const [type, ...params] = data;
-          logger.log(`Processing ${type} message with ${params.length} parameters`);
+          pending = DRAINED_MESSAGE_TYPES.includes(type);
+          if (pending) {
+            this.pendingMessages++;
+          }
           
           switch (type) {
-            case 'EVENT':
-              await this.handleEventMessage(ws, params);
+            case 'EVENT': {
+              const result = await this.handleEventMessage(connection, params);
+              if (result) {
+                outcome = { ok: result.success, reason: result.success ? undefined : result.message };
+              }
               break;
+            }
             
             case 'REQ':
-              await this.handleReqMessage(ws, params);
+              await this.handleReqMessage(connection, params);
               break;
             
             case 'CLOSE':
-              this.handleCloseMessage(ws, params);
+              this.handleCloseMessage(connection, params);
+              break;
+            
+            case 'COUNT':
+              await this.handleCountMessage(connection, params);
+              break;
+            
+            case 'AUTH':
+              this.handleAuthMessage(connection, params);
               break;
             
             default:
-              logger.log(`Unknown message type: ${type}`);
-              this.sendNotice(ws, `Unknown message type: ${type}`);
+              connectionLogger.log(`Unknown message type: ${type}`);
+              connection.sendNotice(`Unknown message type: ${type}`);
           }
         } catch (error) {
-          logger.error('Error processing message:', error);
-          this.sendNotice(ws, 'Error processing message: ' + (error.message || 'Unknown error'));
+          connectionLogger.error('Error processing message:', error);
+          connection.sendNotice('Error processing message: ' + (error.message || 'Unknown error'));
+        } finally {
+          if (pending) {
+            this.pendingMessages--;
+          }
+          this.logAccess(connection, message, type, params, outcome, startedAt);
         }
       });
 
       ws.on('close', () => {
-        logger.log('Client disconnected');
-        eventHandler.removeClientSubscriptions(ws);
+        connectionLogger.log('Client disconnected');
+        eventHandler.removeConnection(connection);
       });
 
       ws.on('error', (error) => {
-        logger.error('WebSocket error:', error);
+        connectionLogger.error('WebSocket error:', error);
       });
     });
   }
 
+  /**
+   * Get the IP address of the client of a request
+   * 
+   * Behind trusted proxies, X-Forwarded-For is read from the right, skipping
+   * the trusted proxies, so that addresses prepended by the client are ignored.
+   * Requests from other peers are attributed to the socket address.
+   * @param {http.IncomingMessage} req - The upgrade request
+   * @returns {string}
+   */
+  getClientIp(req) {
+    // IPv4 clients of a dual-stack socket appear as ::ffff:a.b.c.d
+    const normalize = address => address.trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    const isTrusted = address => config.trustedProxies.includes(address);
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',')
+      .map(normalize)
+      .filter(address => address !== '');
+
+    let ip = normalize(req.socket.remoteAddress || '');
+    while (isTrusted(ip) && forwarded.length > 0) {
+      ip = forwarded.pop();
+    }
+    return ip;
+  }
+
+  /**
+   * Answer a message refused by rate limits in the way its type expects
+   * @param {Connection} connection - The client connection
+   * @param {string} type - The message type
+   * @param {Array} params - Message parameters
+   * @param {string} reason - rate-limited reason
+   */
+  rejectRateLimited(connection, type, params, reason) {
+    this.refuseMessage(connection, type, params, reason);
+    eventHandler.rateLimits.recordViolation(connection);
+  }
+
+  /**
+   * Answer a refused message in the way its type expects: OK for events and
+   * AUTH, CLOSED for REQ and COUNT, NOTICE otherwise
+   * @param {Connection} connection - The client connection
+   * @param {string} type - The message type
+   * @param {Array} params - Message parameters
+   * @param {string} reason - Machine-readable reason, e.g. "rate-limited: ..."
+   */
+  refuseMessage(connection, type, params, reason) {
+    if (type === 'EVENT' && params[0] && typeof params[0].id === 'string') {
+      connection.sendOk(params[0].id, false, reason);
+      eventHandler.recordRejection(params[0], reason, connection);
+      metrics.countEvent(false, reason);
+    } else if (type === 'AUTH' && params[0] && typeof params[0].id === 'string') {
+      connection.sendOk(params[0].id, false, reason);
+    } else if ((type === 'REQ' || type === 'COUNT') && typeof params[0] === 'string') {
+      connection.sendClosed(params[0], reason);
+    } else {
+      connection.sendNotice(reason);
+    }
+  }
+
   /**
    * Handle EVENT message
-   * @param {WebSocket} ws - The client's WebSocket connection
+   * @param {Connection} connection - The client connection
    * @param {Array} params - Message parameters [event]
    */
-  async handleEventMessage(ws, params) {
+  async handleEventMessage(connection, params) {
     if (params.length < 1) {
-      return this.sendNotice(ws, 'Invalid EVENT message');
+      return connection.sendNotice('Invalid EVENT message');
     }
     
     const event = params[0];
-    const result = await eventHandler.handleEvent(event, ws);
+    const result = await eventHandler.handleEvent(event, connection);
+    
+    metrics.countEvent(result.success, result.message);
     
     // NIP-20: Command Results
     if (result.success) {
-      ws.send(JSON.stringify(['OK', event.id, true, '']));
+      connection.sendOk(event.id, true, '');
     } else {
-      ws.send(JSON.stringify(['OK', event.id, false, result.message]));
+      connection.sendOk(event.id, false, result.message);
+      eventHandler.recordRejection(event, result.message, connection);
     }
+    
+    return result;
+  }
+
+  /**
+   * Write the access log line of a client message
+   * @param {Connection} connection - The client connection
+   * @param {Buffer} message - The raw message
+   * @param {string} [type] - The message type, if the message could be parsed
+   * @param {Array} params - The message parameters
+   * @param {Object} outcome - The result of an EVENT { ok, reason }
+   * @param {bigint} startedAt - High resolution time the message was received
+   */
+  logAccess(connection, message, type, params, outcome, startedAt) {
+    if (!config.logging.accessLog) {
+      return;
+    }
+
+    const first = params[0];
+    accessLogger.child({
+      ...connection.logFields(),
+      type,
+      subscription_id: ['REQ', 'CLOSE', 'COUNT'].includes(type) && typeof first === 'string' ? first : undefined,
+      event_id: ['EVENT', 'AUTH'].includes(type) && first && typeof first.id === 'string' ? first.id : undefined,
+      kind: type === 'EVENT' && first ? first.kind : undefined,
+      bytes: message.length,
+      duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ...outcome
+    }).info(type || 'INVALID');
   }
 
   /**
    * Handle REQ message
-   * @param {WebSocket} ws - The client's WebSocket connection
+   * @param {Connection} connection - The client connection
    * @param {Array} params - Message parameters [subscriptionId, ...filters]
    */
-  async handleReqMessage(ws, params) {
+  async handleReqMessage(connection, params) {
     if (params.length < 2) {
-      return this.sendNotice(ws, 'Invalid REQ message');
+      return connection.sendNotice('Invalid REQ message');
     }
     
     const [subscriptionId, ...filters] = params;
     
-    if (typeof subscriptionId !== 'string') {
-      return this.sendNotice(ws, 'Invalid subscription ID');
+    if (!this.isValidSubscriptionId(subscriptionId)) {
+      return connection.sendNotice('Invalid subscription ID');
     }
     
-    await eventHandler.handleSubscription(subscriptionId, filters, ws);
+    const validation = filterValidator.validateFilters(filters);
+    if (!validation.valid) {
+      return eventHandler.closeSubscription(connection, subscriptionId, validation.reason);
+    }
+    
+    await eventHandler.handleSubscription(subscriptionId, filters, connection);
+  }
+
+  /**
+   * Handle COUNT message (NIP-45)
+   * @param {Connection} connection - The client connection
+   * @param {Array} params - Message parameters [subscriptionId, ...filters]
+   */
+  async handleCountMessage(connection, params) {
+    if (params.length < 2) {
+      return connection.sendNotice('Invalid COUNT message');
+    }
+    
+    const [subscriptionId, ...filters] = params;
+    
+    if (!this.isValidSubscriptionId(subscriptionId)) {
+      return connection.sendNotice('Invalid subscription ID');
+    }
+    
+    if (!config.features.count) {
+      return connection.sendClosed(subscriptionId, 'unsupported: COUNT is not enabled on this relay');
+    }
+    
+    const validation = filterValidator.validateFilters(filters);
+    if (!validation.valid) {
+      return connection.sendClosed(subscriptionId, validation.reason);
+    }
+    
+    await eventHandler.handleCount(subscriptionId, filters, connection);
+  }
+
+  /**
+   * Check a REQ or COUNT subscription ID: a non-empty string of at most maxSubidLength characters
+   * @param {*} subscriptionId - The subscription ID from the message
+   * @returns {boolean}
+   */
+  isValidSubscriptionId(subscriptionId) {
+    return typeof subscriptionId === 'string' &&
+      subscriptionId.length > 0 &&
+      subscriptionId.length <= config.limits.maxSubidLength;
   }
 
   /**
    * Handle CLOSE message
-   * @param {WebSocket} ws - The client's WebSocket connection
+   * @param {Connection} connection - The client connection
    * @param {Array} params - Message parameters [subscriptionId]
    */
-  handleCloseMessage(ws, params) {
+  handleCloseMessage(connection, params) {
     if (params.length < 1) {
-      return this.sendNotice(ws, 'Invalid CLOSE message');
+      return connection.sendNotice('Invalid CLOSE message');
     }
     
     const [subscriptionId] = params;
     
     if (typeof subscriptionId !== 'string') {
-      return this.sendNotice(ws, 'Invalid subscription ID');
+      return connection.sendNotice('Invalid subscription ID');
     }
     
-    eventHandler.removeSubscription(subscriptionId);
+    // Only the calling client's subscription is affected
+    eventHandler.removeSubscription(connection, subscriptionId);
   }
 
   /**
-   * Send a NOTICE message to a client
-   * @param {WebSocket} ws - The client's WebSocket connection
-   * @param {string} message - The notice message
+   * Handle AUTH message (NIP-42)
+   * @param {Connection} connection - The client connection
+   * @param {Array} params - Message parameters [event]
    */
-  sendNotice(ws, message) {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(['NOTICE', message]));
+  handleAuthMessage(connection, params) {
+    if (params.length < 1 || typeof params[0] !== 'object' || params[0] === null) {
+      return connection.sendNotice('Invalid AUTH message');
     }
+    
+    const event = params[0];
+    const result = authHandler.handleAuth(event, connection);
+    
+    connection.sendOk(event.id, result.success, result.message);
   }
 
   /**
@@ -202,6 +438,88 @@ class NostrServer {
   stop() {
     this.server.close();
   }
+
+  /**
+   * Check whether the relay can serve clients
+   * @returns {Promise<string|null>} - Reason the relay is not ready, or null if it is
+   */
+  async checkReadiness() {
+    if (this.draining) {
+      return 'draining';
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('database check timed out')), READINESS_DB_TIMEOUT);
+    });
+
+    try {
+      await Promise.race([db.raw('select 1'), timeout]);
+      return null;
+    } catch (error) {
+      logger.warn('Readiness check failed:', error);
+      return `database unavailable: ${error.message}`;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Drain the relay before shutting down
+   * 
+   * Stops accepting connections, tells clients the relay is going away and
+   * closes their subscriptions, lets EVENT and COUNT messages being processed
+   * (such as events being saved) finish, then closes every connection.
+   * Whatever is still pending when the timeout expires is dropped.
+   * @param {number} timeout - Maximum time to wait, in milliseconds
+   * @returns {Promise<void>}
+   */
+  async drain(timeout) {
+    const deadline = Date.now() + timeout;
+    this.draining = true;
+    this.server.close();
+    logger.info(`Draining ${eventHandler.connections.size} connections`);
+
+    for (const connection of eventHandler.connections) {
+      connection.sendNotice('relay is shutting down, please reconnect later');
+      // Stops streams of stored events, releasing their database connections
+      eventHandler.closeAllSubscriptions(connection, 'error: relay is shutting down');
+    }
+
+    // Let messages already being handled finish and their responses be sent
+    await this.waitUntil(() => this.pendingMessages === 0, deadline);
+    if (this.pendingMessages > 0) {
+      logger.warn(`Drain timed out with ${this.pendingMessages} messages still being processed`);
+    }
+
+    for (const connection of eventHandler.connections) {
+      // A client not reading its backed-up socket buffer would only get the close frame at the timeout
+      if (connection.bufferedAmount() > config.stream.maxBufferedBytes) {
+        connection.terminate();
+      } else {
+        connection.close(1001, 'relay is shutting down');
+      }
+    }
+
+    await this.waitUntil(() => eventHandler.connections.size === 0, deadline);
+    for (const connection of eventHandler.connections) {
+      connection.terminate();
+    }
+
+    logger.info('Drain complete');
+  }
+
+  /**
+   * Wait until a condition holds or a deadline passes
+   * @param {Function} condition - Returns true when done
+   * @param {number} deadline - Time in milliseconds since the epoch
+   * @returns {Promise<void>}
+   */
+  async waitUntil(condition, deadline) {
+    while (!condition() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_INTERVAL));
+    }
+  }
 }
 
 module.exports = NostrServer;
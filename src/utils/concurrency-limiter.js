@@ -0,0 +1,96 @@
+/**
+ * Limiter on how many operations run at the same time
+ *
+ * Operations are limited per key (e.g. a connection) and in total. Callers
+ * over either limit wait in line and are started in order as slots are
+ * released, skipping those whose key is still at its own limit.
+ */
+class ConcurrencyLimiter {
+  /**
+   * Initialize the limiter
+   * @param {Object} limits - The limits { perKey, total }
+   */
+  constructor({ perKey, total }) {
+    this.perKey = Math.max(perKey, 1);
+    this.total = Math.max(total, 1);
+    this.active = 0;
+    this.activeByKey = new Map(); // key -> running operations
+    this.waiting = []; // { key, resolve } in arrival order
+  }
+
+  /**
+   * Wait for a slot
+   * @param {*} key - The limited key (a string, or an object such as a connection)
+   * @returns {Promise<Function|null>} - Function releasing the slot, or null if the wait was cancelled
+   */
+  acquire(key) {
+    return new Promise(resolve => {
+      this.waiting.push({ key, resolve });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Stop waiting for slots for a key, e.g. a connection that closed
+   * @param {*} key - The limited key
+   */
+  cancel(key) {
+    this.waiting = this.waiting.filter(waiter => {
+      if (waiter.key === key) {
+        waiter.resolve(null);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Start waiting operations while slots are free
+   */
+  dispatch() {
+    let index = 0;
+
+    while (index < this.waiting.length && this.active < this.total) {
+      const { key, resolve } = this.waiting[index];
+      const running = this.activeByKey.get(key) || 0;
+
+      if (running >= this.perKey) {
+        index++;
+        continue;
+      }
+
+      this.waiting.splice(index, 1);
+      this.active++;
+      this.activeByKey.set(key, running + 1);
+      resolve(this.createRelease(key));
+    }
+  }
+
+  /**
+   * Create the function releasing a slot, which only takes effect once
+   * @param {*} key - The limited key
+   * @returns {Function}
+   */
+  createRelease(key) {
+    let released = false;
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      this.active--;
+      const running = this.activeByKey.get(key) - 1;
+      if (running > 0) {
+        this.activeByKey.set(key, running);
+      } else {
+        this.activeByKey.delete(key);
+      }
+
+      this.dispatch();
+    };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
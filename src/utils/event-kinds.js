@@ -0,0 +1,88 @@
+/**
+ * Utility for classifying Nostr event kinds (NIP-01, NIP-16, NIP-33)
+ */
+class EventKinds {
+  /**
+   * Check if a kind is replaceable: only the newest event per pubkey and kind is kept
+   * @param {number} kind - The event kind
+   * @returns {boolean}
+   */
+  isReplaceable(kind) {
+    return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+  }
+
+  /**
+   * Check if a kind is ephemeral: broadcast to subscribers but never stored
+   * @param {number} kind - The event kind
+   * @returns {boolean}
+   */
+  isEphemeral(kind) {
+    return kind >= 20000 && kind < 30000;
+  }
+
+  /**
+   * Check if a kind is parameterized replaceable: only the newest event per
+   * pubkey, kind and d tag is kept (NIP-33)
+   * @param {number} kind - The event kind
+   * @returns {boolean}
+   */
+  isParameterizedReplaceable(kind) {
+    return kind >= 30000 && kind < 40000;
+  }
+
+  /**
+   * Get the d tag value of an event (the first d tag, or an empty string)
+   * @param {Object} event - The Nostr event
+   * @returns {string}
+   */
+  getDTag(event) {
+    const tag = event.tags.find(tag => tag[0] === 'd');
+    return tag && typeof tag[1] === 'string' ? tag[1] : '';
+  }
+
+  /**
+   * Get the coordinate "<kind>:<pubkey>:<d tag>" addressing a replaceable event
+   * @param {Object} event - The Nostr event
+   * @returns {string|null} - The coordinate, or null if the kind is not replaceable
+   */
+  getCoordinate(event) {
+    if (this.isParameterizedReplaceable(event.kind)) {
+      return `${event.kind}:${event.pubkey}:${this.getDTag(event)}`;
+    }
+    if (this.isReplaceable(event.kind)) {
+      return `${event.kind}:${event.pubkey}:`;
+    }
+    return null;
+  }
+
+  /**
+   * Parse an event coordinate of the form "<kind>:<pubkey>:<d tag>"
+   * as used by a tags and naddr entities
+   * @param {string} coordinate - The coordinate string
+   * @returns {Object|null} - { kind, pubkey, dTag } or null if malformed
+   */
+  parseCoordinate(coordinate) {
+    if (typeof coordinate !== 'string') {
+      return null;
+    }
+
+    const firstColon = coordinate.indexOf(':');
+    const secondColon = coordinate.indexOf(':', firstColon + 1);
+    if (firstColon === -1 || secondColon === -1) {
+      return null;
+    }
+
+    const kindPart = coordinate.substring(0, firstColon);
+    const pubkey = coordinate.substring(firstColon + 1, secondColon);
+    // The d tag may itself contain colons
+    const dTag = coordinate.substring(secondColon + 1);
+
+    if (!/^\d+$/.test(kindPart) || !/^[0-9a-f]{64}$/.test(pubkey)) {
+      return null;
+    }
+
+    return { kind: parseInt(kindPart, 10), pubkey, dTag };
+  }
+}
+
+module.exports = new EventKinds();
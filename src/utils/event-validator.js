@@ -1,3 +1,10 @@
+const crypto = require('crypto');
+const { schnorr } = require('@noble/curves/secp256k1');
+
+// Lowercase hex strings of fixed length, as required by NIP-01
+const HEX_32_BYTES = /^[0-9a-f]{64}$/;
+const HEX_64_BYTES = /^[0-9a-f]{128}$/;
+
 /**
  * Utility for validating Nostr events
  */
@@ -10,11 +17,11 @@ class EventValidator {
   validateEvent(event) {
     try {
       // Check required fields
-      if (!event.id || typeof event.id !== 'string' || event.id.length !== 64) {
+      if (!event.id || typeof event.id !== 'string' || !HEX_32_BYTES.test(event.id)) {
         return false;
       }
       
-      if (!event.pubkey || typeof event.pubkey !== 'string' || event.pubkey.length !== 64) {
+      if (!event.pubkey || typeof event.pubkey !== 'string' || !HEX_32_BYTES.test(event.pubkey)) {
         return false;
       }
       
@@ -45,42 +52,164 @@ class EventValidator {
         return false;
       }
       
-      if (!event.sig || typeof event.sig !== 'string' || event.sig.length !== 128) {
+      if (!event.sig || typeof event.sig !== 'string' || !HEX_64_BYTES.test(event.sig)) {
         return false;
       }
       
-      // TODO: Implement signature verification
-      // For a basic relay, we'll skip cryptographic verification
-      // In a production relay, you would verify the signature here
-      
       return true;
     } catch (error) {
       console.error('Event validation error:', error);
       return false;
     }
   }
+
+  /**
+   * Serialize an event into the canonical NIP-01 form used for its id
+   * @param {Object} event - The Nostr event
+   * @returns {string} - JSON of [0, pubkey, created_at, kind, tags, content]
+   */
+  serializeEvent(event) {
+    return JSON.stringify([
+      0,
+      event.pubkey,
+      event.created_at,
+      event.kind,
+      event.tags,
+      event.content
+    ]);
+  }
+
+  /**
+   * Compute the NIP-01 event id (sha256 of the canonical serialization)
+   * @param {Object} event - The Nostr event
+   * @returns {string} - Lowercase hex event id
+   */
+  getEventHash(event) {
+    return crypto.createHash('sha256').update(this.serializeEvent(event), 'utf8').digest('hex');
+  }
+
+  /**
+   * Verify the BIP-340 Schnorr signature of an event over its id
+   * @param {Object} event - The Nostr event (id, pubkey and sig are used)
+   * @returns {boolean} - Whether the signature is valid
+   */
+  verifySignature(event) {
+    try {
+      return schnorr.verify(event.sig, event.id, event.pubkey);
+    } catch (error) {
+      // Malformed points or scalars are simply invalid signatures
+      return false;
+    }
+  }
+
+  /**
+   * Fully verify an event: structure, id and signature
+   * @param {Object} event - The event to verify
+   * @returns {Object} - Result object { valid, reason } with a NIP-20 reason
+   */
+  verifyEvent(event) {
+    if (!this.validateEvent(event)) {
+      return { valid: false, reason: 'invalid: malformed event' };
+    }
+
+    if (this.getEventHash(event) !== event.id) {
+      return { valid: false, reason: 'invalid: bad event id' };
+    }
+
+    if (!this.verifySignature(event)) {
+      return { valid: false, reason: 'invalid: bad signature' };
+    }
+
+    return { valid: true, reason: '' };
+  }
   
+  /**
+   * Get the expiration timestamp of an event (NIP-40)
+   * @param {Object} event - The Nostr event
+   * @returns {number|null} - Unix timestamp in seconds, or null if the event does not expire
+   */
+  getExpiration(event) {
+    const tag = event.tags.find(tag => tag[0] === 'expiration');
+    if (!tag || typeof tag[1] !== 'string' || !/^\d{1,15}$/.test(tag[1])) {
+      return null;
+    }
+    return parseInt(tag[1], 10);
+  }
+
+  /**
+   * Check whether an event has expired (NIP-40)
+   * @param {Object} event - The Nostr event
+   * @param {number} [now] - Current unix timestamp in seconds
+   * @returns {boolean}
+   */
+  isExpired(event, now = Math.floor(Date.now() / 1000)) {
+    const expiration = this.getExpiration(event);
+    return expiration !== null && expiration <= now;
+  }
+
+  /**
+   * Count the leading zero bits of a hex event id (NIP-13)
+   * @param {string} id - The event id
+   * @returns {number}
+   */
+  countLeadingZeroBits(id) {
+    let count = 0;
+
+    for (const char of id) {
+      const nibble = parseInt(char, 16);
+      if (nibble === 0) {
+        count += 4;
+        continue;
+      }
+      // Math.clz32 counts from bit 31, a nibble only uses the lowest 4 bits
+      count += Math.clz32(nibble) - 28;
+      break;
+    }
+
+    return count;
+  }
+
+  /**
+   * Get the target difficulty committed in an event's nonce tag (NIP-13)
+   * @param {Object} event - The Nostr event
+   * @returns {number|null} - The committed target, or null if there is none
+   */
+  getCommittedDifficulty(event) {
+    const tag = event.tags.find(tag => tag[0] === 'nonce');
+    if (!tag || typeof tag[2] !== 'string' || !/^\d{1,3}$/.test(tag[2])) {
+      return null;
+    }
+    return parseInt(tag[2], 10);
+  }
+
+  /**
+   * Get the proof of work difficulty of an event (NIP-13)
+   * 
+   * When the nonce tag commits to a target, the difficulty is capped at that
+   * target, so events that reached a higher difficulty by luck are not
+   * credited with more work than was committed to.
+   * @param {Object} event - The Nostr event
+   * @returns {number}
+   */
+  getPowDifficulty(event) {
+    const difficulty = this.countLeadingZeroBits(event.id);
+    const committed = this.getCommittedDifficulty(event);
+    return committed === null ? difficulty : Math.min(difficulty, committed);
+  }
+
   /**
    * Validate a deletion event (NIP-09)
    * @param {Object} event - The deletion event
-   * @param {Array} eventIds - IDs of events to delete
    * @returns {boolean} - Whether the deletion is valid
    */
-  validateDeletion(event, eventIds) {
+  validateDeletion(event) {
     // Must be a kind 5 event
     if (event.kind !== 5) {
       return false;
     }
     
-    // Must have at least one e tag
-    const eTags = event.tags.filter(tag => tag[0] === 'e');
-    if (eTags.length === 0) {
-      return false;
-    }
-    
-    // Check if all event IDs to delete are in the e tags
-    const taggedEventIds = eTags.map(tag => tag[1]);
-    return eventIds.every(id => taggedEventIds.includes(id));
+    // Must reference at least one event (e tag) or replaceable event coordinate (a tag)
+    return event.tags.some(tag => (tag[0] === 'e' || tag[0] === 'a') && typeof tag[1] === 'string');
   }
 }
 
@@ -0,0 +1,152 @@
+const config = require('../config');
+
+// Keys a filter may contain besides single-letter tag filters (#e, #p, ...)
+const FILTER_KEYS = ['ids', 'authors', 'kinds', 'since', 'until', 'limit', 'search'];
+
+// Longest accepted search string (NIP-50)
+const MAX_SEARCH_LENGTH = 256;
+
+/**
+ * Utility for validating REQ and COUNT filters
+ */
+class FilterValidator {
+  /**
+   * Validate the filters of a REQ or COUNT message
+   * @param {Array} filters - Array of filters
+   * @returns {Object} - Result object { valid, reason } with a CLOSED reason
+   */
+  validateFilters(filters) {
+    const { maxFilters } = config.filters;
+
+    if (filters.length > maxFilters) {
+      return { valid: false, reason: `invalid: too many filters (max ${maxFilters})` };
+    }
+
+    for (const filter of filters) {
+      const reason = this.validateFilter(filter);
+      if (reason) {
+        return { valid: false, reason };
+      }
+    }
+
+    return { valid: true, reason: '' };
+  }
+
+  /**
+   * Validate a single filter
+   * @param {Object} filter - The filter
+   * @returns {string|null} - Reason the filter is invalid, or null if it is valid
+   */
+  validateFilter(filter) {
+    if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+      return 'invalid: filter must be an object';
+    }
+
+    for (const key of Object.keys(filter)) {
+      const value = filter[key];
+
+      if (/^#[a-zA-Z]$/.test(key)) {
+        const reason = this.validateArray(key, value, item => typeof item === 'string', 'strings');
+        if (reason) {
+          return reason;
+        }
+        continue;
+      }
+
+      if (!FILTER_KEYS.includes(key)) {
+        return `invalid: unknown filter key ${key}`;
+      }
+
+      const reason = this.validateField(key, value);
+      if (reason) {
+        return reason;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a known filter field
+   * @param {string} key - The filter key
+   * @param {*} value - The filter value
+   * @returns {string|null} - Reason the value is invalid, or null if it is valid
+   */
+  validateField(key, value) {
+    const { minPrefixLength } = config.query;
+
+    switch (key) {
+      case 'ids':
+      case 'authors':
+        // Full 64-character values or prefixes of them
+        return this.validateArray(
+          key,
+          value,
+          item => typeof item === 'string' &&
+            /^[0-9a-f]*$/.test(item) &&
+            item.length >= minPrefixLength &&
+            item.length <= 64,
+          `lowercase hex strings of ${minPrefixLength} to 64 characters`
+        );
+
+      case 'kinds':
+        return this.validateArray(
+          key,
+          value,
+          item => Number.isInteger(item) && item >= 0 && item <= 65535,
+          'integers between 0 and 65535'
+        );
+
+      case 'since':
+      case 'until':
+      case 'limit':
+        if (!Number.isInteger(value) || value < 0) {
+          return `invalid: ${key} must be a non-negative integer`;
+        }
+        return null;
+
+      case 'search':
+        if (!config.features.search) {
+          return 'unsupported: search is not enabled on this relay';
+        }
+        if (typeof value !== 'string') {
+          return 'invalid: search must be a string';
+        }
+        if (value.length > MAX_SEARCH_LENGTH) {
+          return `invalid: search must be at most ${MAX_SEARCH_LENGTH} characters`;
+        }
+        return null;
+
+      default:
+        return `invalid: unknown filter key ${key}`;
+    }
+  }
+
+  /**
+   * Validate an array-valued filter field
+   * @param {string} key - The filter key
+   * @param {*} value - The filter value
+   * @param {Function} isValidItem - Predicate for each item
+   * @param {string} description - Description of valid items for the reason
+   * @returns {string|null} - Reason the value is invalid, or null if it is valid
+   */
+  validateArray(key, value, isValidItem, description) {
+    const { maxValues } = config.filters;
+
+    if (!Array.isArray(value)) {
+      return `invalid: ${key} must be an array`;
+    }
+
+    if (value.length > maxValues) {
+      return `invalid: ${key} has too many values (max ${maxValues})`;
+    }
+
+    if (!value.every(isValidItem)) {
+      return `invalid: ${key} must contain ${description}`;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new FilterValidator();
@@ -1,3 +1,6 @@
+const eventKinds = require('./event-kinds');
+const searchQuery = require('./search');
+
 /**
  * Utility for matching events against subscription filters
  */
@@ -9,13 +12,13 @@ class FilterMatcher {
    * @returns {boolean} - Whether the event matches the filter
    */
   matchFilter(event, filter) {
-    // Check ids
-    if (filter.ids && !filter.ids.includes(event.id)) {
+    // Check ids (full ids or prefixes)
+    if (filter.ids && !filter.ids.some(prefix => event.id.startsWith(prefix))) {
       return false;
     }
     
-    // Check authors
-    if (filter.authors && !filter.authors.includes(event.pubkey)) {
+    // Check authors (full pubkeys or prefixes)
+    if (filter.authors && !filter.authors.some(prefix => event.pubkey.startsWith(prefix))) {
       return false;
     }
     
@@ -34,25 +37,40 @@ class FilterMatcher {
       return false;
     }
     
+    // Check full-text search (NIP-50)
+    if (typeof filter.search === 'string' && !searchQuery.matches(event, filter.search)) {
+      return false;
+    }
+    
     // Check tag filters (#e, #p, etc.)
     for (const key in filter) {
-      if (key.startsWith('#')) {
-        const tagName = key.substring(1);
-        const tagValues = filter[key];
-        
-        // Find tags with matching name
-        const matchingTags = event.tags.filter(tag => tag[0] === tagName);
-        
-        // Check if any tag value matches the filter
-        if (matchingTags.length === 0 || !matchingTags.some(tag => tagValues.includes(tag[1]))) {
-          return false;
-        }
+      if (key.startsWith('#') && !this.matchTagFilter(event, key.substring(1), filter[key])) {
+        return false;
       }
     }
     
     return true;
   }
   
+  /**
+   * Check if an event has a tag with any of the filter's values
+   * 
+   * Like the stored-event query, #d also matches the d tag value a parameterized
+   * replaceable event is keyed by, so a missing d tag matches "" (NIP-33).
+   * @param {Object} event - The Nostr event
+   * @param {string} tagName - Single-letter tag name
+   * @param {Array<string>} tagValues - Values from the filter
+   * @returns {boolean}
+   */
+  matchTagFilter(event, tagName, tagValues) {
+    if (tagName === 'd' && eventKinds.isParameterizedReplaceable(event.kind) &&
+        tagValues.includes(eventKinds.getDTag(event))) {
+      return true;
+    }
+    
+    return event.tags.some(tag => tag[0] === tagName && tagValues.includes(tag[1]));
+  }
+  
   /**
    * Check if an event matches any of the filters
    * @param {Object} event - The Nostr event
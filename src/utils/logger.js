@@ -1,68 +1,160 @@
+const util = require('util');
 const debug = require('debug');
+const config = require('../config');
 
 /**
  * Logger utility for the Nostr relay
- * 
+ *
  * Usage:
  * - Import the logger: const logger = require('./utils/logger');
  * - Create a namespaced logger: const log = logger('namespace');
- * - Log messages: log('message');
- * 
- * Enable logging with environment variables:
+ * - Log messages: log.log('message'), log.info(...), log.warn(...), log.error(...)
+ * - Attach fields to every line: log.child({ connection_id: 1 }).log('message')
+ *
+ * In the default text format, log, info and warn lines are written by
+ * `debug` and only shown for enabled namespaces:
  * - DEBUG=* (all logs)
  * - DEBUG=nostr:* (all relay logs)
  * - DEBUG=nostr:event,nostr:server (only event and server logs)
+ *
+ * With LOG_FORMAT=json every line at or above LOG_LEVEL is written as a JSON
+ * object with time, level, namespace, message and the attached fields.
+ * Event content is redacted from logged objects unless LOG_REDACT_CONTENT=false.
  */
 
 // Base namespace for all relay logs
 const BASE_NAMESPACE = 'nostr';
 
+// Severity of each level; log() writes at debug level
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// How deep logged objects are searched for content to redact
+const MAX_REDACT_DEPTH = 5;
+
+/**
+ * Replace the content of events found in a logged value
+ * @param {*} value - The logged value
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} - A redacted copy, or the value itself if nothing needs redacting
+ */
+function redact(value, depth = 0) {
+  if (!config.logging.redactContent || value === null || typeof value !== 'object' ||
+      value instanceof Error || depth > MAX_REDACT_DEPTH) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = key === 'content' && typeof item === 'string'
+      ? `[redacted ${item.length} chars]`
+      : redact(item, depth + 1);
+  }
+  return copy;
+}
+
 /**
- * Create a logger for a specific namespace
+ * Write a line in JSON format
+ * @param {string} level - The level name
+ * @param {string} fullNamespace - The namespace of the logger
+ * @param {Object} fields - Fields attached to the logger
+ * @param {Array} args - The message and its arguments
+ */
+function writeJson(level, fullNamespace, fields, args) {
+  if (LEVELS[level] < LEVELS[config.logging.level]) {
+    return;
+  }
+
+  const error = args.find(arg => arg instanceof Error);
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    namespace: fullNamespace,
+    message: util.formatWithOptions({ breakLength: Infinity }, ...args.filter(arg => arg !== error).map(arg => redact(arg))),
+    ...redact(fields)
+  };
+
+  if (error) {
+    entry.error = { message: error.message, code: error.code, stack: error.stack };
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Format attached fields as a text suffix
+ * @param {Object} fields - Fields attached to the logger
+ * @returns {Array<string>} - Arguments to append to a text line
+ */
+function formatFields(fields) {
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return pairs.length > 0 ? [pairs.join(' ')] : [];
+}
+
+/**
+ * Create a logger for a specific namespace and level
  * @param {string} namespace - The namespace for the logger
+ * @param {string} level - The level name (debug, info or warn)
+ * @param {Object} fields - Fields attached to every line
  * @returns {Function} - The logger function
  */
-function createLogger(namespace) {
+function createLogger(namespace, level, fields) {
   // Create the full namespace
   const fullNamespace = `${BASE_NAMESPACE}:${namespace}`;
-  
+
   // Create the debug logger
   const debugLogger = debug(fullNamespace);
-  
+
   // Return a function that logs messages
   return function(message, ...args) {
-    debugLogger(message, ...args);
+    if (config.logging.format === 'json') {
+      return writeJson(level, fullNamespace, fields, [message, ...args]);
+    }
+    if (debugLogger.enabled) {
+      debugLogger(message, ...args.map(arg => redact(arg)), ...formatFields(fields));
+    }
   };
 }
 
 /**
  * Create an error logger that always outputs regardless of DEBUG setting
  * @param {string} namespace - The namespace for the logger
+ * @param {Object} fields - Fields attached to every line
  * @returns {Function} - The error logger function
  */
-function createErrorLogger(namespace) {
+function createErrorLogger(namespace, fields) {
   // Create the full namespace
   const fullNamespace = `${BASE_NAMESPACE}:${namespace}:error`;
-  
-  // Create the debug logger with forced enabling
-  const errorLogger = debug(fullNamespace);
-  errorLogger.enabled = true;
-  
+
   // Return a function that logs error messages
   return function(message, ...args) {
+    if (config.logging.format === 'json') {
+      return writeJson('error', `${BASE_NAMESPACE}:${namespace}`, fields, [message, ...args]);
+    }
     // Log to console.error for errors
-    console.error(`[${fullNamespace}]`, message, ...args);
+    console.error(`[${fullNamespace}]`, message, ...args.map(arg => redact(arg)), ...formatFields(fields));
   };
 }
 
 /**
  * Create loggers for a specific namespace
  * @param {string} namespace - The namespace for the loggers
- * @returns {Object} - Object with log and error functions
+ * @param {Object} [fields] - Fields attached to every line, e.g. { connection_id }
+ * @returns {Object} - Object with log, info, warn, error and child functions
  */
-module.exports = function(namespace) {
+module.exports = function createLoggers(namespace, fields = {}) {
   return {
-    log: createLogger(namespace),
-    error: createErrorLogger(namespace)
+    log: createLogger(namespace, 'debug', fields),
+    info: createLogger(namespace, 'info', fields),
+    warn: createLogger(namespace, 'warn', fields),
+    error: createErrorLogger(namespace, fields),
+    // Loggers for the same namespace with additional fields
+    child: extraFields => createLoggers(namespace, { ...fields, ...extraFields })
   };
 };
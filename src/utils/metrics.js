@@ -0,0 +1,142 @@
+const client = require('prom-client');
+
+// Message types counted under their own label, others are counted as "unknown"
+const MESSAGE_TYPES = ['EVENT', 'REQ', 'CLOSE', 'COUNT', 'AUTH'];
+
+/**
+ * Prometheus metrics of the relay
+ *
+ * Counters and histograms are updated as messages are handled. Gauges
+ * describing the current state (open connections, buffered bytes, database
+ * pool) are set by collectState() just before each scrape.
+ */
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    const registers = [this.registry];
+
+    this.connectionsOpen = new client.Gauge({
+      name: 'nostr_connections_open',
+      help: 'WebSocket connections currently open',
+      registers
+    });
+    this.connectionsTotal = new client.Counter({
+      name: 'nostr_connections_total',
+      help: 'WebSocket connections accepted since start',
+      registers
+    });
+    this.messages = new client.Counter({
+      name: 'nostr_messages_total',
+      help: 'Client messages received, by type',
+      labelNames: ['type'],
+      registers
+    });
+    this.eventsAccepted = new client.Counter({
+      name: 'nostr_events_accepted_total',
+      help: 'Published events accepted',
+      registers
+    });
+    this.eventsRejected = new client.Counter({
+      name: 'nostr_events_rejected_total',
+      help: 'Published events rejected, by OK reason prefix',
+      labelNames: ['reason'],
+      registers
+    });
+    this.reqDuration = new client.Histogram({
+      name: 'nostr_req_duration_seconds',
+      help: 'Time from a REQ to its EOSE',
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers
+    });
+    this.reqResults = new client.Histogram({
+      name: 'nostr_req_results',
+      help: 'Stored events sent for a REQ before its EOSE',
+      buckets: [0, 1, 10, 50, 100, 500, 1000, 5000],
+      registers
+    });
+    this.broadcastFanout = new client.Histogram({
+      name: 'nostr_broadcast_fanout',
+      help: 'Subscriptions a new event was delivered to',
+      buckets: [0, 1, 5, 10, 50, 100, 500, 1000],
+      registers
+    });
+    this.bufferedBytes = new client.Gauge({
+      name: 'nostr_outbound_buffered_bytes',
+      help: 'Bytes waiting in the socket buffers of all connections',
+      registers
+    });
+    this.maxBufferedBytes = new client.Gauge({
+      name: 'nostr_outbound_buffered_bytes_max',
+      help: 'Largest number of bytes waiting in a single connection\'s socket buffer',
+      registers
+    });
+    this.dbPool = new client.Gauge({
+      name: 'nostr_db_pool_connections',
+      help: 'Database pool connections, by state',
+      labelNames: ['state'],
+      registers
+    });
+  }
+
+  /**
+   * Count a client message
+   * @param {string} type - The message type
+   */
+  countMessage(type) {
+    this.messages.inc({ type: MESSAGE_TYPES.includes(type) ? type : 'unknown' });
+  }
+
+  /**
+   * Count the outcome of a published event
+   * @param {boolean} accepted - Whether the event was accepted
+   * @param {string} [reason] - The OK reason of a rejection
+   */
+  countEvent(accepted, reason) {
+    if (accepted) {
+      this.eventsAccepted.inc();
+      return;
+    }
+
+    // Only the machine-readable prefix is used, to keep the number of series bounded
+    const match = /^([a-z-]+):/.exec(reason || '');
+    this.eventsRejected.inc({ reason: match ? match[1] : 'other' });
+  }
+
+  /**
+   * Update the gauges describing the current state of the relay
+   * @param {Set<Connection>} connections - Open client connections
+   * @param {Object} pool - The knex (tarn) connection pool
+   */
+  collectState(connections, pool) {
+    let buffered = 0;
+    let maxBuffered = 0;
+
+    for (const connection of connections) {
+      const amount = connection.bufferedAmount();
+      buffered += amount;
+      maxBuffered = Math.max(maxBuffered, amount);
+    }
+
+    this.connectionsOpen.set(connections.size);
+    this.bufferedBytes.set(buffered);
+    this.maxBufferedBytes.set(maxBuffered);
+
+    if (pool) {
+      this.dbPool.set({ state: 'used' }, pool.numUsed());
+      this.dbPool.set({ state: 'free' }, pool.numFree());
+      this.dbPool.set({ state: 'pending_acquires' }, pool.numPendingAcquires());
+      this.dbPool.set({ state: 'pending_creates' }, pool.numPendingCreates());
+      this.dbPool.set({ state: 'max' }, pool.max);
+    }
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   * @returns {Promise<string>}
+   */
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,94 @@
+/**
+ * Token bucket rate limiter
+ *
+ * Each key (an IP, a connection id, a pubkey...) gets a bucket holding up to
+ * `count` tokens, refilled continuously at `count` tokens per `seconds`.
+ * Every allowed action takes one token.
+ */
+class RateLimiter {
+  /**
+   * Initialize the limiter
+   * @param {Object} limit - The limit { count, seconds }
+   */
+  constructor({ count, seconds }) {
+    this.capacity = count;
+    this.refillPerMs = count / (seconds * 1000);
+    this.buckets = new Map(); // key -> { tokens, updatedAt }
+  }
+
+  /**
+   * Take a token for a key if one is available
+   * @param {*} key - The rate-limited key (a string, or an object such as a connection)
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} - Whether the action is allowed
+   */
+  consume(key, now = Date.now()) {
+    const bucket = this.refill(key, now);
+
+    if (bucket.tokens < 1) {
+      return false;
+    }
+
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Check whether a key has a token left, without taking it
+   * @param {*} key - The rate-limited key
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} - Whether consume() would allow the action
+   */
+  check(key, now = Date.now()) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) {
+      return this.capacity >= 1;
+    }
+
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    return Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerMs) >= 1;
+  }
+
+  /**
+   * Refill a key's bucket up to the current time
+   * @param {*} key - The rate-limited key
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - The bucket { tokens, updatedAt }
+   */
+  refill(key, now) {
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      bucket = { tokens: this.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerMs);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Forget a key, e.g. a connection that closed
+   * @param {*} key - The rate-limited key
+   */
+  forget(key) {
+    this.buckets.delete(key);
+  }
+
+  /**
+   * Drop buckets that have refilled completely, as they hold no state
+   * @param {number} [now] - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const key of this.buckets.keys()) {
+      if (this.refill(key, now).tokens >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = RateLimiter;
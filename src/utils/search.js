@@ -0,0 +1,138 @@
+const config = require('../config');
+
+/**
+ * Utility for NIP-50 search filters
+ * 
+ * A search string is free text plus optional "key:value" extensions such as
+ * "language:en". Only language is understood; other extensions are ignored.
+ */
+
+// Extensions defined by NIP-50
+const KNOWN_EXTENSIONS = ['include', 'domain', 'language', 'sentiment', 'nsfw'];
+
+class SearchQuery {
+  /**
+   * Parse a search string into text and extensions
+   * @param {string} search - The filter's search value
+   * @returns {Object} - { text, extensions } where extensions maps keys to values
+   */
+  parse(search) {
+    const words = [];
+    const extensions = {};
+
+    for (const token of String(search).trim().split(/\s+/)) {
+      const match = /^([a-z]+):(\S+)$/i.exec(token);
+      if (match && KNOWN_EXTENSIONS.includes(match[1].toLowerCase())) {
+        extensions[match[1].toLowerCase()] = match[2];
+      } else if (match) {
+        // Unknown extensions are dropped rather than searched for
+        continue;
+      } else if (token) {
+        words.push(token);
+      }
+    }
+
+    return { text: words.join(' '), extensions };
+  }
+
+  /**
+   * Split text into lowercase words the way content is indexed
+   * @param {string} text - The text
+   * @returns {Array<string>}
+   */
+  tokenize(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /**
+   * Get the languages an event is labeled with (NIP-32 ISO-639-1 l tags)
+   * @param {Object} event - The Nostr event
+   * @returns {Array<string>}
+   */
+  getLanguages(event) {
+    return event.tags
+      .filter(tag => tag[0] === 'l' && tag[2] === 'ISO-639-1' && typeof tag[1] === 'string')
+      .map(tag => tag[1].toLowerCase());
+  }
+
+  /**
+   * Split search text into alternatives the way websearch_to_tsquery does
+   * 
+   * An unquoted "or" between two words separates alternatives; a leading or
+   * trailing "or", or one inside quotes, is searched for as a word.
+   * @param {string} text - Search text without extensions
+   * @returns {Array<Array<string>>} - Alternatives, each a list of words that must all match
+   */
+  parseAlternatives(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const alternatives = [[]];
+    let inQuote = false;
+    let afterOperator = false;
+
+    words.forEach((word, index) => {
+      const quoted = inQuote || word.startsWith('"');
+      if ((word.match(/"/g) || []).length % 2 === 1) {
+        inQuote = !inQuote;
+      }
+
+      const current = alternatives[alternatives.length - 1];
+      const isOperator = !quoted && !afterOperator && word.toLowerCase() === 'or' &&
+        current.length > 0 && index < words.length - 1;
+
+      if (isOperator) {
+        alternatives.push([]);
+      } else {
+        current.push(word);
+      }
+      afterOperator = isOperator;
+    });
+
+    return alternatives;
+  }
+
+  /**
+   * Check if an event matches a search string in memory, for live events
+   * 
+   * Follows the stored-event query: all words of an alternative must appear
+   * in the content, except words prefixed with "-" which must not, and
+   * alternatives are separated by "or". With a language: extension, events
+   * labeled only with other languages are excluded; unlabeled events are kept.
+   * @param {Object} event - The Nostr event
+   * @param {string} search - The filter's search value
+   * @returns {boolean}
+   */
+  matches(event, search) {
+    const { text, extensions } = this.parse(search);
+
+    if (extensions.language) {
+      const languages = this.getLanguages(event);
+      if (languages.length > 0 && !languages.includes(extensions.language.toLowerCase())) {
+        return false;
+      }
+    }
+
+    const contentWords = new Set(this.tokenize(event.content));
+
+    return this.parseAlternatives(text).some(words => words.every(word => {
+      const excluded = word.startsWith('-');
+      const terms = this.tokenize(excluded ? word.substring(1) : word);
+
+      if (terms.length === 0) {
+        return true;
+      }
+
+      const present = terms.every(term => contentWords.has(term));
+      return excluded ? !present : present;
+    }));
+  }
+
+  /**
+   * NIPs implemented by this module, for NIP-11
+   * @returns {Array<number>}
+   */
+  supportedNips() {
+    return config.features.search ? [50] : [];
+  }
+}
+
+module.exports = new SearchQuery();
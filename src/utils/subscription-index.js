@@ -0,0 +1,169 @@
+const filterMatcher = require('./filters');
+const eventKinds = require('./event-kinds');
+
+/**
+ * Inverted index over live subscriptions for dispatching new events
+ *
+ * Each filter of a subscription is indexed under a single dimension, picked
+ * from the most selective one it constrains: ids, then authors, then
+ * single-letter tags, then kinds. Filters constraining none of these are kept
+ * in a wildcard list. A new event is only tested against the filters indexed
+ * under its own id, pubkey, tags and kind, plus the wildcard filters.
+ */
+class SubscriptionIndex {
+  constructor() {
+    this.ids = new Map(); // id or id prefix -> Set of entries
+    this.authors = new Map(); // pubkey or pubkey prefix -> Set of entries
+    this.tags = new Map(); // "<name>:<value>" -> Set of entries
+    this.kinds = new Map(); // kind -> Set of entries
+    this.wildcard = new Set(); // entries of filters without an indexed dimension
+    this.prefixLengths = { ids: new Set(), authors: new Set() }; // Lengths of indexed prefixes
+    this.entriesBySubscription = new Map(); // subscription -> Array of { bucket, key, entry }
+  }
+
+  /**
+   * Index all filters of a subscription
+   * @param {Connection} connection - The connection owning the subscription
+   * @param {Object} subscription - The subscription object { id, filters }
+   */
+  add(connection, subscription) {
+    const locations = [];
+
+    for (const filter of subscription.filters) {
+      const entry = { connection, subscription, filter };
+      const { bucket, keys } = this.selectDimension(filter);
+
+      if (!bucket) {
+        this.wildcard.add(entry);
+        locations.push({ bucket: null, key: null, entry });
+        continue;
+      }
+
+      for (const key of new Set(keys)) {
+        if (!bucket.has(key)) {
+          bucket.set(key, new Set());
+        }
+        bucket.get(key).add(entry);
+        locations.push({ bucket, key, entry });
+      }
+    }
+
+    this.entriesBySubscription.set(subscription, locations);
+  }
+
+  /**
+   * Remove a subscription from the index
+   * @param {Object} subscription - The subscription object
+   */
+  remove(subscription) {
+    const locations = this.entriesBySubscription.get(subscription);
+    if (!locations) {
+      return;
+    }
+
+    for (const { bucket, key, entry } of locations) {
+      if (!bucket) {
+        this.wildcard.delete(entry);
+        continue;
+      }
+
+      const entries = bucket.get(key);
+      entries.delete(entry);
+      if (entries.size === 0) {
+        bucket.delete(key);
+      }
+    }
+
+    this.entriesBySubscription.delete(subscription);
+  }
+
+  /**
+   * Find the subscriptions an event should be delivered to
+   * @param {Object} event - The Nostr event
+   * @returns {Array<Object>} - Matches { connection, subscription }, one per subscription
+   */
+  match(event) {
+    const matched = new Map(); // subscription -> connection
+
+    const test = entries => {
+      if (!entries) {
+        return;
+      }
+      for (const { connection, subscription, filter } of entries) {
+        if (!matched.has(subscription) && filterMatcher.matchFilter(event, filter)) {
+          matched.set(subscription, connection);
+        }
+      }
+    };
+
+    for (const key of this.lookupKeys(event.id, 'ids')) {
+      test(this.ids.get(key));
+    }
+
+    for (const key of this.lookupKeys(event.pubkey, 'authors')) {
+      test(this.authors.get(key));
+    }
+
+    for (const tag of event.tags) {
+      if (/^[a-zA-Z]$/.test(tag[0]) && typeof tag[1] === 'string') {
+        test(this.tags.get(`${tag[0]}:${tag[1]}`));
+      }
+    }
+
+    // A missing d tag matches #d [""] for parameterized replaceable events (NIP-33)
+    if (eventKinds.isParameterizedReplaceable(event.kind)) {
+      test(this.tags.get(`d:${eventKinds.getDTag(event)}`));
+    }
+
+    test(this.kinds.get(event.kind));
+    test(this.wildcard);
+
+    return [...matched.entries()].map(([subscription, connection]) => ({ connection, subscription }));
+  }
+
+  /**
+   * Get the keys an id or pubkey may be indexed under: itself and its indexed prefixes
+   * @param {string} value - The event id or pubkey
+   * @param {string} dimension - 'ids' or 'authors'
+   * @returns {Array<string>}
+   */
+  lookupKeys(value, dimension) {
+    const keys = [value];
+    for (const length of this.prefixLengths[dimension]) {
+      keys.push(value.substring(0, length));
+    }
+    return keys;
+  }
+
+  /**
+   * Pick the dimension a filter is indexed under
+   * @param {Object} filter - The subscription filter
+   * @returns {Object} - { bucket, keys }, bucket is null for wildcard filters
+   */
+  selectDimension(filter) {
+    for (const dimension of ['ids', 'authors']) {
+      if (Array.isArray(filter[dimension])) {
+        for (const value of filter[dimension]) {
+          if (value.length < 64) {
+            this.prefixLengths[dimension].add(value.length);
+          }
+        }
+        return { bucket: this[dimension], keys: filter[dimension] };
+      }
+    }
+
+    const tagKey = Object.keys(filter).find(key => /^#[a-zA-Z]$/.test(key));
+    if (tagKey) {
+      const name = tagKey.substring(1);
+      return { bucket: this.tags, keys: filter[tagKey].map(value => `${name}:${value}`) };
+    }
+
+    if (Array.isArray(filter.kinds)) {
+      return { bucket: this.kinds, keys: filter.kinds };
+    }
+
+    return { bucket: null, keys: [] };
+  }
+}
+
+module.exports = SubscriptionIndex;
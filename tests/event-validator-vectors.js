@@ -0,0 +1,88 @@
+/**
+ * Offline test vectors for event id and signature verification
+ *
+ * Runs the BIP-340 reference vectors against the Schnorr verification
+ * and a set of signed NIP-01 events (plus tampered copies) against the
+ * full event verification, and checks NIP-13 proof of work difficulty.
+ *
+ * Usage: node tests/event-validator-vectors.js
+ */
+const assert = require('assert');
+const { test } = require('node:test');
+const eventValidator = require('../src/utils/event-validator');
+const bip340Vectors = require('./vectors/bip340.json');
+const nip01Vectors = require('./vectors/nip01-events.json');
+
+
+// BIP-340 reference vectors: the message is used as the event id
+for (const vector of bip340Vectors) {
+  test(`BIP-340 vector ${vector.index} ${vector.comment}`, () => {
+    const result = eventValidator.verifySignature({
+      id: vector.message,
+      pubkey: vector.pubkey,
+      sig: vector.signature
+    });
+    assert.strictEqual(result, vector.result);
+  });
+}
+
+// Signed NIP-01 events and tampered variants
+for (const { description, event } of nip01Vectors) {
+  test(`${description}: valid`, () => {
+    assert.strictEqual(eventValidator.getEventHash(event), event.id);
+    assert.deepStrictEqual(eventValidator.verifyEvent(event), { valid: true, reason: '' });
+  });
+
+  test(`${description}: tampered content`, () => {
+    const tampered = { ...event, content: event.content + ' ' };
+    assert.deepStrictEqual(eventValidator.verifyEvent(tampered), {
+      valid: false,
+      reason: 'invalid: bad event id'
+    });
+  });
+
+  test(`${description}: tampered tags`, () => {
+    const tampered = { ...event, tags: [...event.tags, ['t', 'extra']] };
+    assert.strictEqual(eventValidator.verifyEvent(tampered).reason, 'invalid: bad event id');
+  });
+
+  test(`${description}: tampered signature`, () => {
+    const lastByte = (parseInt(event.sig.slice(-2), 16) ^ 1).toString(16).padStart(2, '0');
+    const tampered = { ...event, sig: event.sig.slice(0, -2) + lastByte };
+    assert.deepStrictEqual(eventValidator.verifyEvent(tampered), {
+      valid: false,
+      reason: 'invalid: bad signature'
+    });
+  });
+
+  test(`${description}: signature from another event`, () => {
+    const other = nip01Vectors.find(vector => vector.event.id !== event.id).event;
+    const tampered = { ...event, sig: other.sig };
+    assert.strictEqual(eventValidator.verifyEvent(tampered).reason, 'invalid: bad signature');
+  });
+
+  test(`${description}: uppercase hex`, () => {
+    const tampered = { ...event, id: event.id.toUpperCase() };
+    assert.strictEqual(eventValidator.verifyEvent(tampered).reason, 'invalid: malformed event');
+  });
+}
+
+test('missing fields', () => {
+  assert.strictEqual(eventValidator.verifyEvent({}).reason, 'invalid: malformed event');
+});
+
+// Proof of work (NIP-13)
+test('leading zero bits', () => {
+  assert.strictEqual(eventValidator.countLeadingZeroBits('000006d8c378af1779d2feebc7603a125d99eca0ccf1085959b307f64e5dd358'), 21);
+  assert.strictEqual(eventValidator.countLeadingZeroBits('ff' + '0'.repeat(62)), 0);
+  assert.strictEqual(eventValidator.countLeadingZeroBits('1' + '0'.repeat(63)), 3);
+  assert.strictEqual(eventValidator.countLeadingZeroBits('0'.repeat(64)), 256);
+});
+
+test('pow difficulty capped at committed target', () => {
+  const id = '000006d8c378af1779d2feebc7603a125d99eca0ccf1085959b307f64e5dd358';
+  assert.strictEqual(eventValidator.getPowDifficulty({ id, tags: [['nonce', '776797', '20']] }), 20);
+  assert.strictEqual(eventValidator.getPowDifficulty({ id, tags: [['nonce', '776797', '24']] }), 21);
+  assert.strictEqual(eventValidator.getPowDifficulty({ id, tags: [['nonce', '776797']] }), 21);
+  assert.strictEqual(eventValidator.getPowDifficulty({ id, tags: [] }), 21);
+});
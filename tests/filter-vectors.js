@@ -0,0 +1,147 @@
+/**
+ * Offline test vectors for REQ/COUNT filters
+ *
+ * Checks the CLOSED reasons of invalid and oversized filters, matching of
+ * live events against filters (including NIP-33 #d), and NIP-50 search
+ * matching, whose rules mirror websearch_to_tsquery.
+ *
+ * Usage: node tests/filter-vectors.js
+ */
+const assert = require('assert');
+const { test } = require('node:test');
+const filterValidator = require('../src/utils/filter-validator');
+const filterMatcher = require('../src/utils/filters');
+const searchQuery = require('../src/utils/search');
+const config = require('../src/config');
+
+
+const PUBKEY = 'a'.repeat(64);
+const { maxFilters, maxValues } = config.filters;
+const { minPrefixLength } = config.query;
+
+// Filters and the CLOSED reason they are refused with, or null if valid
+const filterVectors = [
+  ['empty filter', {}, null],
+  ['full filter', { ids: [PUBKEY], authors: [PUBKEY.slice(0, minPrefixLength)], kinds: [0, 65535], since: 0, until: 1, limit: 10, '#e': ['x'], '#T': ['y'] }, null],
+  ['filter not an object', [], 'invalid: filter must be an object'],
+  ['null filter', null, 'invalid: filter must be an object'],
+  ['unknown key', { foo: 1 }, 'invalid: unknown filter key foo'],
+  ['top-level a key', { a: ['30023:' + PUBKEY + ':x'] }, 'invalid: unknown filter key a'],
+  ['multi-letter tag', { '#ab': ['x'] }, 'invalid: unknown filter key #ab'],
+  ['ids not an array', { ids: PUBKEY }, 'invalid: ids must be an array'],
+  ['uppercase id', { ids: [PUBKEY.toUpperCase()] }, `invalid: ids must contain lowercase hex strings of ${minPrefixLength} to 64 characters`],
+  ['id too long', { ids: [PUBKEY + 'a'] }, `invalid: ids must contain lowercase hex strings of ${minPrefixLength} to 64 characters`],
+  ['author prefix too short', { authors: [PUBKEY.slice(0, minPrefixLength - 1)] }, `invalid: authors must contain lowercase hex strings of ${minPrefixLength} to 64 characters`],
+  ['negative kind', { kinds: [-1] }, 'invalid: kinds must contain integers between 0 and 65535'],
+  ['kind too large', { kinds: [65536] }, 'invalid: kinds must contain integers between 0 and 65535'],
+  ['kind as string', { kinds: ['1'] }, 'invalid: kinds must contain integers between 0 and 65535'],
+  ['negative since', { since: -1 }, 'invalid: since must be a non-negative integer'],
+  ['fractional until', { until: 1.5 }, 'invalid: until must be a non-negative integer'],
+  ['limit as string', { limit: '10' }, 'invalid: limit must be a non-negative integer'],
+  ['tag values not strings', { '#p': [1] }, 'invalid: #p must contain strings'],
+  ['too many values', { kinds: Array.from({ length: maxValues + 1 }, (_, i) => i) }, `invalid: kinds has too many values (max ${maxValues})`],
+  ['too many tag values', { '#t': Array.from({ length: maxValues + 1 }, String) }, `invalid: #t has too many values (max ${maxValues})`],
+  ['search not a string', { search: 1 }, 'invalid: search must be a string'],
+  ['search too long', { search: 'x'.repeat(257) }, 'invalid: search must be at most 256 characters']
+];
+
+for (const [description, filter, reason] of filterVectors) {
+  test(`filter: ${description}`, () => {
+    assert.deepStrictEqual(filterValidator.validateFilters([filter]), reason
+      ? { valid: false, reason }
+      : { valid: true, reason: '' });
+  });
+}
+
+test('filter: too many filters', () => {
+  const filters = Array.from({ length: maxFilters + 1 }, () => ({}));
+  assert.deepStrictEqual(filterValidator.validateFilters(filters), {
+    valid: false,
+    reason: `invalid: too many filters (max ${maxFilters})`
+  });
+});
+
+test('filter: first invalid filter is reported', () => {
+  const result = filterValidator.validateFilters([{}, { kinds: [-1] }, { foo: 1 }]);
+  assert.strictEqual(result.reason, 'invalid: kinds must contain integers between 0 and 65535');
+});
+
+// Live matching of events against filters
+const note = {
+  id: 'b'.repeat(64),
+  pubkey: PUBKEY,
+  created_at: 1000,
+  kind: 1,
+  tags: [['e', 'c'.repeat(64)], ['p', PUBKEY], ['t', 'nostr']],
+  content: 'Hello nostr world'
+};
+const article = { ...note, id: 'd'.repeat(64), kind: 30023, tags: [['d', 'first'], ['d', 'second']] };
+const untitled = { ...note, id: 'e'.repeat(64), kind: 30023, tags: [] };
+
+const matchVectors = [
+  ['id prefix', note, { ids: ['bbbb'] }, true],
+  ['other id', note, { ids: ['cccc'] }, false],
+  ['author prefix', note, { authors: ['aaaa'] }, true],
+  ['kind', note, { kinds: [0, 1] }, true],
+  ['other kind', note, { kinds: [0] }, false],
+  ['since is inclusive', note, { since: 1000 }, true],
+  ['until is inclusive', note, { until: 1000 }, true],
+  ['after until', note, { until: 999 }, false],
+  ['tag value', note, { '#t': ['bitcoin', 'nostr'] }, true],
+  ['missing tag', note, { '#d': [''] }, false],
+  ['all conditions must hold', note, { kinds: [1], '#t': ['bitcoin'] }, false],
+  ['first d tag', article, { '#d': ['first'] }, true],
+  ['any d tag', article, { '#d': ['second'] }, true],
+  ['missing d tag matches empty string', untitled, { '#d': [''] }, true],
+  ['missing d tag', untitled, { '#d': ['first'] }, false]
+];
+
+for (const [description, event, filter, expected] of matchVectors) {
+  test(`match: ${description}`, () => {
+    assert.strictEqual(filterMatcher.matchFilter(event, filter), expected);
+  });
+}
+
+test('match: any filter matches', () => {
+  assert.strictEqual(filterMatcher.matchFilters(note, [{ kinds: [0] }, { kinds: [1] }]), true);
+  assert.strictEqual(filterMatcher.matchFilters(note, []), false);
+});
+
+// Search strings against the content "Hello nostr world"
+const searchVectors = [
+  ['word', 'nostr', true],
+  ['case insensitive', 'NOSTR', true],
+  ['all words', 'hello world', true],
+  ['missing word', 'hello bitcoin', false],
+  ['excluded word', 'hello -bitcoin', true],
+  ['excluded present word', 'hello -world', false],
+  ['or', 'bitcoin or world', true],
+  ['or binds looser than and', 'bitcoin hello or world', true],
+  ['no alternative matches', 'bitcoin or lightning', false],
+  ['uppercase OR', 'bitcoin OR nostr', true],
+  ['leading or is a word', 'or nostr', false],
+  ['trailing or is a word', 'nostr or', false],
+  ['quoted or is a word', '"bitcoin or nostr"', false],
+  ['unknown extension ignored', 'nostr foo:bar', true],
+  ['only extensions', 'language:en', true]
+];
+
+for (const [description, search, expected] of searchVectors) {
+  test(`search: ${description}`, () => {
+    assert.strictEqual(searchQuery.matches(note, search), expected);
+  });
+}
+
+test('search: language labels', () => {
+  const labeled = { ...note, tags: [['l', 'de', 'ISO-639-1']] };
+  assert.strictEqual(searchQuery.matches(labeled, 'nostr language:de'), true);
+  assert.strictEqual(searchQuery.matches(labeled, 'nostr language:en'), false);
+  assert.strictEqual(searchQuery.matches(note, 'nostr language:en'), true);
+});
+
+test('search: parse', () => {
+  assert.deepStrictEqual(searchQuery.parse(' hello  language:en nsfw:false foo:bar world '), {
+    text: 'hello world',
+    extensions: { language: 'en', nsfw: 'false' }
+  });
+});
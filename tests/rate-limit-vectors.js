@@ -0,0 +1,165 @@
+/**
+ * Offline test vectors for rate limiting
+ *
+ * Checks token bucket refill and rejection with explicit timestamps, and the
+ * rate-limited reasons of RateLimitPolicy, including that a message refused
+ * by one bucket takes no token from the others, and that clients are
+ * disconnected after repeated violations until old ones expire.
+ *
+ * Usage: node tests/rate-limit-vectors.js
+ */
+const assert = require('assert');
+const { test } = require('node:test');
+const RateLimiter = require('../src/utils/rate-limiter');
+const RateLimitPolicy = require('../src/policies/rate-limits');
+
+
+const PUBKEY = 'a'.repeat(64);
+
+// Token buckets: 2 tokens, refilled at 2 per 10 seconds (one every 5 seconds)
+test('bucket: starts full and rejects when empty', () => {
+  const limiter = new RateLimiter({ count: 2, seconds: 10 });
+  assert.strictEqual(limiter.consume('key', 0), true);
+  assert.strictEqual(limiter.consume('key', 0), true);
+  assert.strictEqual(limiter.consume('key', 0), false);
+});
+
+test('bucket: refills continuously', () => {
+  const limiter = new RateLimiter({ count: 2, seconds: 10 });
+  limiter.consume('key', 0);
+  limiter.consume('key', 0);
+  assert.strictEqual(limiter.consume('key', 4999), false);
+  assert.strictEqual(limiter.consume('key', 5000), true);
+  assert.strictEqual(limiter.consume('key', 5000), false);
+});
+
+test('bucket: refill is capped at the capacity', () => {
+  const limiter = new RateLimiter({ count: 2, seconds: 10 });
+  limiter.consume('key', 0);
+  assert.strictEqual(limiter.consume('key', 1000000), true);
+  assert.strictEqual(limiter.consume('key', 1000000), true);
+  assert.strictEqual(limiter.consume('key', 1000000), false);
+});
+
+test('bucket: keys are independent', () => {
+  const limiter = new RateLimiter({ count: 1, seconds: 10 });
+  const connection = {};
+  assert.strictEqual(limiter.consume('a', 0), true);
+  assert.strictEqual(limiter.consume('a', 0), false);
+  assert.strictEqual(limiter.consume('b', 0), true);
+  assert.strictEqual(limiter.consume(connection, 0), true);
+});
+
+test('bucket: check takes no token', () => {
+  const limiter = new RateLimiter({ count: 1, seconds: 10 });
+  assert.strictEqual(limiter.check('key', 0), true);
+  assert.strictEqual(limiter.check('key', 0), true);
+  assert.strictEqual(limiter.consume('key', 0), true);
+  assert.strictEqual(limiter.check('key', 0), false);
+  assert.strictEqual(limiter.check('key', 10000), true);
+});
+
+test('bucket: forget and prune drop state', () => {
+  const limiter = new RateLimiter({ count: 1, seconds: 10 });
+  limiter.consume('a', 0);
+  limiter.consume('b', 0);
+  limiter.forget('a');
+  assert.strictEqual(limiter.consume('a', 0), true);
+  limiter.prune(10000);
+  assert.strictEqual(limiter.buckets.size, 0);
+});
+
+/**
+ * Build a policy from rate limit configuration
+ * @param {Object} limits - Partial config.rateLimits
+ * @returns {RateLimitPolicy}
+ */
+function createPolicy(limits) {
+  return new RateLimitPolicy({ connection: {}, ip: {}, pubkey: {}, kinds: {}, maxViolations: 3, violationWindow: 60, ...limits });
+}
+
+test('policy: per-connection reason', () => {
+  const policy = createPolicy({ connection: { REQ: { count: 1, seconds: 60 } } });
+  const connection = { ip: '127.0.0.1' };
+  assert.strictEqual(policy.checkMessage(connection, 'REQ'), null);
+  assert.strictEqual(policy.checkMessage(connection, 'REQ'), 'rate-limited: too many REQ messages on this connection');
+  assert.strictEqual(policy.checkMessage({ ip: '127.0.0.1' }, 'REQ'), null);
+});
+
+test('policy: per-IP reason', () => {
+  const policy = createPolicy({ ip: { EVENT: { count: 1, seconds: 60 } } });
+  assert.strictEqual(policy.checkMessage({ ip: '127.0.0.1' }, 'EVENT'), null);
+  assert.strictEqual(policy.checkMessage({ ip: '127.0.0.1' }, 'EVENT'), 'rate-limited: too many EVENT messages from your IP');
+  assert.strictEqual(policy.checkMessage({ ip: '127.0.0.2' }, 'EVENT'), null);
+});
+
+test('policy: unlimited message types', () => {
+  const policy = createPolicy({ connection: { REQ: { count: 1, seconds: 60 } } });
+  const connection = { ip: '127.0.0.1' };
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual(policy.checkMessage(connection, 'CLOSE'), null);
+  }
+});
+
+test('policy: message refused by IP takes no connection token', () => {
+  const policy = createPolicy({
+    connection: { REQ: { count: 2, seconds: 60 } },
+    ip: { REQ: { count: 1, seconds: 60 } }
+  });
+  const connection = { ip: '127.0.0.1' };
+  assert.strictEqual(policy.checkMessage({ ip: '127.0.0.1' }, 'REQ'), null);
+  assert.strictEqual(policy.checkMessage(connection, 'REQ'), 'rate-limited: too many REQ messages from your IP');
+  assert.strictEqual(policy.checkMessage(connection, 'REQ'), 'rate-limited: too many REQ messages from your IP');
+  assert.strictEqual(policy.limiters.connection.get('REQ').check(connection), true);
+});
+
+test('policy: per-pubkey and per-kind reasons', () => {
+  const policy = createPolicy({
+    pubkey: { EVENT: { count: 3, seconds: 60 } },
+    kinds: { 7: { count: 1, seconds: 60 } }
+  });
+  assert.strictEqual(policy.checkEvent({ pubkey: PUBKEY, kind: 7 }), null);
+  assert.strictEqual(policy.checkEvent({ pubkey: PUBKEY, kind: 7 }), 'rate-limited: too many kind 7 events from this pubkey');
+  assert.strictEqual(policy.checkEvent({ pubkey: PUBKEY, kind: 1 }), null);
+  assert.strictEqual(policy.checkEvent({ pubkey: PUBKEY, kind: 1 }), null);
+  assert.strictEqual(policy.checkEvent({ pubkey: PUBKEY, kind: 1 }), 'rate-limited: too many events from this pubkey');
+});
+
+test('policy: event refused by kind takes no pubkey token', () => {
+  const policy = createPolicy({
+    pubkey: { EVENT: { count: 2, seconds: 60 } },
+    kinds: { 7: { count: 1, seconds: 60 } }
+  });
+  policy.checkEvent({ pubkey: PUBKEY, kind: 7 });
+  policy.checkEvent({ pubkey: PUBKEY, kind: 7 });
+  policy.checkEvent({ pubkey: PUBKEY, kind: 7 });
+  assert.strictEqual(policy.checkEvent({ pubkey: PUBKEY, kind: 1 }), null);
+});
+
+test('policy: disconnect after repeated violations', () => {
+  const policy = createPolicy({});
+  const sent = [];
+  const connection = {
+    ip: '127.0.0.1',
+    sendNotice: message => sent.push(['NOTICE', message]),
+    close: code => sent.push(['close', code])
+  };
+  assert.strictEqual(policy.recordViolation(connection, 0), false);
+  assert.strictEqual(policy.recordViolation(connection, 0), false);
+  assert.strictEqual(policy.recordViolation(connection, 0), true);
+  assert.deepStrictEqual(sent, [
+    ['NOTICE', 'rate-limited: too many requests, disconnecting'],
+    ['close', 1008]
+  ]);
+});
+
+test('policy: old violations expire', () => {
+  // 3 violations per 60 seconds: one expires every 20 seconds
+  const policy = createPolicy({});
+  const connection = { ip: '127.0.0.1', sendNotice: () => {}, close: () => {} };
+  assert.strictEqual(policy.recordViolation(connection, 0), false);
+  assert.strictEqual(policy.recordViolation(connection, 0), false);
+  assert.strictEqual(policy.recordViolation(connection, 40000), false);
+  assert.strictEqual(policy.recordViolation(connection, 40000), false);
+  assert.strictEqual(policy.recordViolation(connection, 40000), true);
+});
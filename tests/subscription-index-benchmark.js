@@ -0,0 +1,92 @@
+/**
+ * Benchmark: indexed live-subscription dispatch vs. a linear scan
+ *
+ * Registers many subscriptions with typical client filters (authors, #p/#e
+ * tags, kinds) and measures the time to find the matching subscriptions of
+ * each new event, both by testing every subscription and via SubscriptionIndex.
+ *
+ * Usage: node tests/subscription-index-benchmark.js [subscriptions] [events]
+ */
+const crypto = require('crypto');
+const assert = require('assert');
+const filterMatcher = require('../src/utils/filters');
+const SubscriptionIndex = require('../src/utils/subscription-index');
+
+const SUBSCRIPTIONS = parseInt(process.argv[2], 10) || 10000;
+const EVENTS = parseInt(process.argv[3], 10) || 2000;
+
+const randomHex = () => crypto.randomBytes(32).toString('hex');
+const pick = items => items[Math.floor(Math.random() * items.length)];
+
+// A pool of users so that some filters and events overlap
+const pubkeys = Array.from({ length: 2000 }, randomHex);
+const kinds = [0, 1, 3, 6, 7, 9735, 30023];
+
+function randomFilter() {
+  switch (Math.floor(Math.random() * 4)) {
+    case 0:
+      return { authors: Array.from({ length: 20 }, () => pick(pubkeys)), kinds: [1, 6] };
+    case 1:
+      return { '#p': [pick(pubkeys)], kinds: [1, 7, 9735] };
+    case 2:
+      return { '#e': [randomHex()] };
+    default:
+      return { kinds: [pick(kinds)], since: Math.floor(Date.now() / 1000) };
+  }
+}
+
+function randomEvent() {
+  return {
+    id: randomHex(),
+    pubkey: pick(pubkeys),
+    created_at: Math.floor(Date.now() / 1000),
+    kind: pick(kinds),
+    tags: [['p', pick(pubkeys)], ['e', randomHex()]],
+    content: '',
+    sig: ''
+  };
+}
+
+// Subscriptions as the relay keeps them: an owner plus { id, filters }
+const connection = {};
+const subscriptions = Array.from({ length: SUBSCRIPTIONS }, (_, i) => ({
+  id: `sub${i}`,
+  filters: [randomFilter(), randomFilter()]
+}));
+const events = Array.from({ length: EVENTS }, randomEvent);
+
+const index = new SubscriptionIndex();
+subscriptions.forEach(subscription => index.add(connection, subscription));
+
+function linearScan(event) {
+  return subscriptions.filter(subscription => filterMatcher.matchFilters(event, subscription.filters));
+}
+
+function indexed(event) {
+  return index.match(event).map(match => match.subscription);
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  let matches = 0;
+  for (const event of events) {
+    matches += fn(event).length;
+  }
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  return { elapsed, matches };
+}
+
+// Both strategies must deliver to exactly the same subscriptions
+for (const event of events.slice(0, 200)) {
+  const expected = linearScan(event).map(subscription => subscription.id).sort();
+  const actual = indexed(event).map(subscription => subscription.id).sort();
+  assert.deepStrictEqual(actual, expected);
+}
+
+const linear = time(linearScan);
+const fast = time(indexed);
+
+console.log(`${SUBSCRIPTIONS} subscriptions, ${EVENTS} events, ${linear.matches} deliveries`);
+console.log(`linear scan: ${linear.elapsed.toFixed(1)} ms (${(linear.elapsed / EVENTS * 1000).toFixed(1)} µs/event)`);
+console.log(`indexed:     ${fast.elapsed.toFixed(1)} ms (${(fast.elapsed / EVENTS * 1000).toFixed(1)} µs/event)`);
+console.log(`speedup:     ${(linear.elapsed / fast.elapsed).toFixed(1)}x`);
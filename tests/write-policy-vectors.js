@@ -0,0 +1,165 @@
+/**
+ * Offline test vectors for the write policy pipeline
+ *
+ * Checks the decisions and OK reasons of the built-in plugins, and how the
+ * pipeline runs plugins in order: the first decision wins, plugins without
+ * a decision pass the event on, and failing plugins reject it.
+ *
+ * Usage: node tests/write-policy-vectors.js
+ */
+const assert = require('assert');
+const { test } = require('node:test');
+const WritePolicy = require('../src/policies/write-policy');
+
+
+const ALICE = 'a'.repeat(64);
+const BOB = 'b'.repeat(64);
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Build a relay configuration for the built-in plugins
+ * @param {Object} writePolicy - Overrides of config.writePolicy
+ * @returns {Object}
+ */
+function createConfig(writePolicy) {
+  return {
+    writePolicy: {
+      pubkeyWhitelist: [],
+      pubkeyBlacklist: [],
+      allowedKinds: [],
+      createdAtMaxFuture: 0,
+      createdAtMaxPast: 0,
+      ...writePolicy
+    }
+  };
+}
+
+/**
+ * Build an event with defaults for the fields the plugins look at
+ * @param {Object} fields - Overrides
+ * @returns {Object}
+ */
+function createEvent(fields = {}) {
+  return { id: 'e'.repeat(64), pubkey: ALICE, kind: 1, created_at: now(), tags: [], content: '', ...fields };
+}
+
+/**
+ * A plugin returning a fixed decision and recording that it ran
+ * @param {string} name - Name recorded in calls
+ * @param {Object|null} decision - The decision to return
+ * @param {Array<string>} calls - Names of the plugins that ran, in order
+ * @returns {Object}
+ */
+function createPlugin(name, decision, calls) {
+  return {
+    check: async () => {
+      calls.push(name);
+      return decision;
+    }
+  };
+}
+
+const ACCEPT = { action: 'accept', reason: '' };
+
+// [description, config.writePolicy overrides, event fields, expected decision]
+const builtinVectors = [
+  ['no restrictions', {}, {}, ACCEPT],
+  ['blacklisted pubkey', { pubkeyBlacklist: [ALICE] }, {}, { action: 'reject', reason: 'blocked: pubkey is not allowed to publish' }],
+  ['whitelisted pubkey', { pubkeyWhitelist: [ALICE] }, {}, ACCEPT],
+  ['pubkey not on whitelist', { pubkeyWhitelist: [BOB] }, {}, { action: 'reject', reason: 'blocked: pubkey is not allowed to publish' }],
+  ['blacklist wins over whitelist', { pubkeyWhitelist: [ALICE], pubkeyBlacklist: [ALICE] }, {}, { action: 'reject', reason: 'blocked: pubkey is not allowed to publish' }],
+  ['allowed kind', { allowedKinds: [0, 1] }, {}, ACCEPT],
+  ['kind not allowed', { allowedKinds: [0] }, {}, { action: 'reject', reason: 'blocked: kind 1 is not accepted by this relay' }],
+  ['created_at within bounds', { createdAtMaxFuture: 900, createdAtMaxPast: 3600 }, {}, ACCEPT],
+  ['created_at too far in the future', { createdAtMaxFuture: 900 }, { created_at: now() + 3600 }, { action: 'reject', reason: 'invalid: created_at is more than 900 seconds in the future' }],
+  ['created_at too far in the past', { createdAtMaxPast: 3600 }, { created_at: now() - 7200 }, { action: 'reject', reason: 'invalid: created_at is more than 3600 seconds in the past' }],
+  ['old created_at without a past bound', {}, { created_at: 0 }, ACCEPT],
+  ['first rejecting plugin wins', { pubkeyBlacklist: [ALICE], allowedKinds: [0] }, {}, { action: 'reject', reason: 'blocked: pubkey is not allowed to publish' }]
+];
+
+for (const [description, writePolicy, fields, expected] of builtinVectors) {
+  test(`built-in: ${description}`, async () => {
+    const policy = new WritePolicy(['pubkey-list', 'allowed-kinds', 'created-at-bounds'], createConfig(writePolicy));
+    assert.deepStrictEqual(await policy.check(createEvent(fields), {}), expected);
+  });
+}
+
+test('pipeline: plugins run in order until one decides', async () => {
+  const calls = [];
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin(createPlugin('first', null, calls));
+  policy.addPlugin(createPlugin('second', { action: 'reject', reason: 'blocked: no' }, calls));
+  policy.addPlugin(createPlugin('third', ACCEPT, calls));
+  assert.deepStrictEqual(await policy.check(createEvent(), {}), { action: 'reject', reason: 'blocked: no' });
+  assert.deepStrictEqual(calls, ['first', 'second']);
+});
+
+test('pipeline: accept skips the remaining plugins', async () => {
+  const calls = [];
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin(createPlugin('first', ACCEPT, calls));
+  policy.addPlugin(createPlugin('second', { action: 'reject', reason: 'blocked: no' }, calls));
+  assert.deepStrictEqual(await policy.check(createEvent(), {}), ACCEPT);
+  assert.deepStrictEqual(calls, ['first']);
+});
+
+test('pipeline: built-ins run before added plugins', async () => {
+  const calls = [];
+  const policy = new WritePolicy(['allowed-kinds'], createConfig({ allowedKinds: [0] }));
+  policy.addPlugin(createPlugin('added', ACCEPT, calls));
+  assert.strictEqual((await policy.check(createEvent(), {})).action, 'reject');
+  assert.deepStrictEqual(calls, []);
+});
+
+test('pipeline: no decision accepts', async () => {
+  const calls = [];
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin(createPlugin('first', null, calls));
+  policy.addPlugin(createPlugin('second', undefined, calls));
+  assert.deepStrictEqual(await policy.check(createEvent(), {}), ACCEPT);
+  assert.deepStrictEqual(calls, ['first', 'second']);
+});
+
+test('pipeline: shadow-reject', async () => {
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin({ check: () => ({ action: 'shadow-reject' }) });
+  assert.deepStrictEqual(await policy.check(createEvent(), {}), { action: 'shadow-reject', reason: '' });
+});
+
+test('pipeline: plugins receive the event and connection', async () => {
+  const event = createEvent();
+  const connection = { pubkey: BOB };
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin({
+    check: (checked, from) => checked === event && from === connection ? null : { action: 'reject' }
+  });
+  assert.deepStrictEqual(await policy.check(event, connection), ACCEPT);
+});
+
+test('pipeline: reasons without a prefix are blocked', async () => {
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin({ check: () => ({ action: 'reject', reason: 'spam' }) });
+  assert.deepStrictEqual(await policy.check(createEvent(), {}), { action: 'reject', reason: 'blocked: spam' });
+});
+
+test('pipeline: rejection without a reason', async () => {
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin({ check: () => ({ action: 'reject' }) });
+  assert.deepStrictEqual(await policy.check(createEvent(), {}), { action: 'reject', reason: 'blocked: event rejected by relay policy' });
+});
+
+// The next two vectors log the plugin's error to stderr
+test('pipeline: unknown action rejects', async () => {
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin({ check: () => ({ action: 'maybe' }) });
+  assert.deepStrictEqual(await policy.check(createEvent(), {}), { action: 'reject', reason: 'error: could not check event' });
+});
+
+test('pipeline: failing plugin rejects', async () => {
+  const calls = [];
+  const policy = new WritePolicy([], createConfig({}));
+  policy.addPlugin({ check: async () => { throw new Error('expected test failure'); } });
+  policy.addPlugin(createPlugin('after', ACCEPT, calls));
+  assert.deepStrictEqual(await policy.check(createEvent(), {}), { action: 'reject', reason: 'error: could not check event' });
+  assert.deepStrictEqual(calls, []);
+});